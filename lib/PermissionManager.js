@@ -1,13 +1,21 @@
 /*!
  * Copyright (c) 2017-2024 Digital Bazaar, Inc. All rights reserved.
  */
+import * as auditLog from './auditLog.js';
+import {broadcast, createChannel, getExpirationTime} from './helpers.js';
+import {assertValid} from './schema.js';
+import {composePolicies} from './permissionPolicies.js';
 import localforage from './storage.js';
+import {PermissionStatus} from './PermissionStatus.js';
+import {withLock} from './locks.js';
 
 const VALID_PERMISSION_STATES = ['granted', 'denied', 'prompt'];
 
 /* A PermissionManager for a Web Request Mediator. */
 export class PermissionManager {
-  constructor(relyingOrigin, {request = deny} = {}) {
+  constructor(relyingOrigin, {
+    request = deny, policy = [], denialPolicy = null
+  } = {}) {
     if(!(relyingOrigin && (typeof relyingOrigin === 'string' ||
       relyingOrigin.then))) {
       throw new TypeError(
@@ -17,16 +25,51 @@ export class PermissionManager {
     if(typeof request !== 'function') {
       throw new TypeError('"request" must be a function.');
     }
+    if(Array.isArray(policy)) {
+      policy = composePolicies(...policy);
+    } else if(typeof policy !== 'function') {
+      throw new TypeError(
+        '"policy" must be a function or an array of functions.');
+    }
+    if(denialPolicy !== null) {
+      _validateDenialPolicy(denialPolicy);
+    }
 
+    this._relyingOrigin = relyingOrigin;
     this._request = request;
+    this._policy = policy;
+    this._denialPolicy = denialPolicy;
+    // permissions granted for the life of this instance only by permission
+    // key (see `_getPermissionKey()`)
+    this._sessionStatuses = new Map();
+    // pending permission requests by permission key
+    this._pendingRequests = new Map();
+    // queue of pending permission requests; only one prompt runs at a time
+    this._requestQueue = Promise.resolve();
+    // live PermissionStatus instances (held weakly) by permission key
+    this._statuses = new Map();
+    // whether `_close()` has been called
+    this._closed = false;
     this.permissions = Promise.resolve(relyingOrigin)
-      .then(relyingOrigin => {
-        return localforage.createInstance({
-          name: 'permission_' + relyingOrigin,
-          driver: localforage.driver()
-        });
+      .then(async relyingOrigin => {
+        // listen for changes made in other tabs or first party windows
+        // unless closed before the relying origin was known
+        if(!this._closed) {
+          this._channel = _createChannel(
+            relyingOrigin, change => this._receiveChange(change));
+        }
+        const storage = PermissionManager._getPermissionStorage(relyingOrigin);
+        // index storage created before relying origins were indexed
+        await _indexOrigin(relyingOrigin, storage);
+        return storage;
       });
-    // a list of supported permissions
+    // records of the user's denials of permission requests
+    this.denials = Promise.resolve(relyingOrigin)
+      .then(relyingOrigin => localforage.createInstance({
+        name: 'permissionDenial_' + relyingOrigin,
+        driver: localforage.driver()
+      }));
+    // supported permissions by name
     this.registry = [];
   }
 
@@ -37,64 +80,57 @@ export class PermissionManager {
    *   name of the permission to ask about
    *   (e.g. {name: 'permissionName'}).
    *
-   * @returns {Promise<object>} Resolves to the PermissionStatus containing
-   *   the state of the permission
-   *   (e.g. {state: 'granted'/'denied'/'prompt'}).
+   * @returns {Promise<PermissionStatus>} Resolves to a live PermissionStatus
+   *   containing the state of the permission
+   *   (e.g. {state: 'granted'/'denied'/'prompt'}) that dispatches a `change`
+   *   event whenever that state changes.
    */
   async query(permissionDesc) {
     this._validatePermissionDescriptor(permissionDesc);
-
-    try {
-      const permissions = await this.permissions;
-      const status = await permissions.getItem(permissionDesc.name);
-      if(status) {
-        return status;
-      }
-    } catch(e) {
-      _throwIfNotNoStorageError(e);
-    }
-
-    // return default permission descriptor (state of `prompt`)
-    return {
-      state: 'prompt'
-      // TODO: support `onchange` EventHandler
-    };
+    const state = await this._getState(permissionDesc);
+    return this._createStatus(permissionDesc, state);
   }
 
   /**
    * Requests that the user grant a permission to the current origin.
    *
+   * Concurrent requests for the same permission share a single prompt and
+   * requests for different permissions are queued so that only one prompt
+   * is shown at a time (across all tabs of the mediator origin when the Web
+   * Locks API is available).
+   *
    * @param {object} permissionDesc - A PermissionDescriptor containing the
    *   name of the permission to request
    *   (e.g. {name: 'permissionName'}).
+   * @param {object} [options] - The options to use.
+   * @param {AbortSignal} [options.signal] - An AbortSignal that can be used
+   *   to abort the request while it is pending.
    *
-   * @returns {Promise<object>} Resolves to the PermissionStatus containing
-   *   the new state of the permission
+   * @returns {Promise<PermissionStatus>} Resolves to a live PermissionStatus
+   *   containing the new state of the permission
    *   (e.g. {state: 'granted'/'denied'}).
    */
-  async request(permissionDesc) {
-    // TODO: disallow more than one request at a time or pipeline them
-    let status = await this.query(permissionDesc);
-    if(status.state === 'prompt') {
-      let storeStatus = status = await this._request(permissionDesc);
-      this._validatePermissionStatus(status);
-      // do not store `denied`, set to `prompt` so origin can ask later
-      if(status.state === 'denied') {
-        storeStatus = {state: 'prompt'};
-      }
-      // if state not already set, set it
-      if(!status.set) {
-        try {
-          const permissions = await this.permissions;
-          await permissions.setItem(permissionDesc.name, storeStatus);
-        } catch(e) {
-          _throwIfNotNoStorageError(e);
-        }
-      }
-      // return clean status
-      status = {state: status.state};
+  async request(permissionDesc, {signal} = {}) {
+    if(signal) {
+      signal.throwIfAborted();
     }
-    return status;
+    this._validatePermissionDescriptor(permissionDesc);
+    const currentState = await this._getState(permissionDesc);
+    if(currentState !== 'prompt') {
+      return this._createStatus(permissionDesc, currentState);
+    }
+
+    // coalesce concurrent requests for the same permission into one prompt
+    const key = this._getPermissionKey(permissionDesc);
+    if(signal) {
+      signal.throwIfAborted();
+    }
+    let pending = this._pendingRequests.get(key);
+    if(!pending) {
+      pending = this._createPendingRequest(permissionDesc);
+    }
+    const state = await this._joinPendingRequest(pending, signal);
+    return this._createStatus(permissionDesc, state);
   }
 
   /**
@@ -104,30 +140,699 @@ export class PermissionManager {
    *   name of the permission to revoke
    *   (e.g. {name: 'permissionName'}).
    *
-   * @returns {Promise<object>} Resolves to the PermissionStatus containing
-   *   the new state of the permission
+   * @returns {Promise<PermissionStatus>} Resolves to a live PermissionStatus
+   *   containing the new state of the permission
    *   (e.g. {state: 'granted'/'denied'/'prompt'}).
    */
   async revoke(permissionDesc) {
     this._validatePermissionDescriptor(permissionDesc);
+    const key = this._getPermissionKey(permissionDesc);
+    this._sessionStatuses.delete(key);
+    // set permission status back to default, which is `prompt`
+    await this._setStoredStatus(permissionDesc, {state: 'prompt'});
+    this._notifyChange(
+      {key, name: permissionDesc.name, state: 'prompt', revoked: true});
+    await this._log('revoke', permissionDesc, 'prompt');
+    // call `query` according to spec
+    return this.query(permissionDesc);
+  }
+
+  /**
+   * Creates a pending permission request and adds it to the request queue.
+   *
+   * @param {object} permissionDesc - The PermissionDescriptor to request.
+   *
+   * @returns {object} The pending request.
+   */
+  _createPendingRequest(permissionDesc) {
+    const key = this._getPermissionKey(permissionDesc);
+    const controller = new AbortController();
+    const pending = {key, callers: 0, controller};
+    const enqueued = Date.now();
+    pending.promise = this._enqueueRequest(async () => {
+      try {
+        // every caller aborted while the request was queued, do not prompt
+        controller.signal.throwIfAborted();
+        return await this._prompt(
+          permissionDesc, {signal: controller.signal, enqueued});
+      } finally {
+        if(this._pendingRequests.get(key) === pending) {
+          this._pendingRequests.delete(key);
+        }
+      }
+    }, {signal: controller.signal});
+    this._pendingRequests.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Waits for the result of a pending permission request on behalf of a
+   * single caller.
+   *
+   * @param {object} pending - The pending request.
+   * @param {AbortSignal} [signal] - The caller's AbortSignal.
+   *
+   * @returns {Promise<string>} Resolves to the resulting permission state.
+   */
+  _joinPendingRequest(pending, signal) {
+    pending.callers++;
+    if(!signal) {
+      return pending.promise;
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason);
+        // abort the shared request once no caller is waiting for it anymore
+        if(--pending.callers === 0) {
+          if(this._pendingRequests.get(pending.key) === pending) {
+            this._pendingRequests.delete(pending.key);
+          }
+          pending.controller.abort(signal.reason);
+        }
+      };
+      signal.addEventListener('abort', onAbort, {once: true});
+      pending.promise.then(resolve, reject).finally(
+        () => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Adds a task to the permission request queue.
+   *
+   * @param {Function} task - The task to run.
+   * @param {object} [options] - The options to use.
+   * @param {AbortSignal} [options.signal] - An AbortSignal that, when
+   *   aborted, removes the task from the queue if it has not yet run.
+   *
+   * @returns {Promise} Resolves to the result of the task once it has run.
+   */
+  _enqueueRequest(task, {signal} = {}) {
+    const result = this._requestQueue.then(async () => {
+      const relyingOrigin = await this._relyingOrigin;
+      // stop waiting for prompts in other tabs once aborted so that requests
+      // queued after this one can proceed
+      return withLock('permission_request_' + relyingOrigin, task, {signal});
+    });
+    // keep the queue going regardless of the outcome of this task
+    this._requestQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Prompts the user to grant a permission using the `request` function
+   * given at construction time, unless a decision has already been made,
+   * for example, by a request that was queued in another tab.
+   *
+   * @param {object} permissionDesc - The PermissionDescriptor to request.
+   * @param {object} options - The options to use.
+   * @param {AbortSignal} options.signal - An AbortSignal that is aborted if
+   *   every caller waiting on the prompt has aborted.
+   * @param {number} options.enqueued - The time the request was queued.
+   *
+   * @returns {Promise<string>} Resolves to the resulting permission state.
+   */
+  async _prompt(permissionDesc, {signal, enqueued}) {
+    const key = this._getPermissionKey(permissionDesc);
+    const {name} = permissionDesc;
+    const currentState = await this._getState(permissionDesc);
+    if(currentState !== 'prompt') {
+      return currentState;
+    }
+
+    // denials are stored as `prompt`, so a denial of a request made while
+    // this one was queued (in another tab) is only found in the denial
+    // records; it answers this request too
+    if(await this._wasDeniedSince(key, enqueued)) {
+      return 'denied';
+    }
+
+    // do not prompt again if the denial policy says the origin must wait
+    if(await this._isPromptSuppressed(key)) {
+      return 'denied';
+    }
+
+    const status = await this._request(permissionDesc, {signal});
+    this._validatePermissionStatus(status);
+    await this._recordDecision(key, status.state);
+    await this._log('request', permissionDesc, status.state);
+
+    // session grants are only kept in memory for the life of this instance
+    if(status.state === 'granted' && status.scope === 'session') {
+      this._sessionStatuses.set(key, {
+        state: 'granted',
+        descriptor: this._getStoredDescriptor(permissionDesc)
+      });
+      this._updateStatuses({key, name, state: 'granted'});
+      return status.state;
+    }
+
+    // do not store `denied`, set to `prompt` so origin can ask later
+    let storeStatus = {state: status.state};
+    if(status.state === 'denied') {
+      storeStatus = {state: 'prompt'};
+    } else if(status.expires !== undefined) {
+      storeStatus.expires = getExpirationTime(
+        status.expires, {name: 'Permission'});
+    }
+    // if state not already set, set it
+    if(!status.set) {
+      await this._setStoredStatus(permissionDesc, storeStatus);
+    }
+    this._notifyChange({key, name, state: storeStatus.state});
+    return status.state;
+  }
+
+  /**
+   * Appends a change made by the relying origin to the audit log.
+   *
+   * @param {string} action - The action taken.
+   * @param {object} permissionDesc - The PermissionDescriptor for the
+   *   permission.
+   * @param {string} state - The resulting state of the permission.
+   *
+   * @returns {Promise} Resolves once the change has been logged.
+   */
+  async _log(action, permissionDesc, state) {
+    const relyingOrigin = await this._relyingOrigin;
+    await auditLog.append({
+      actor: relyingOrigin,
+      origin: relyingOrigin,
+      action,
+      permission: this._getStoredDescriptor(permissionDesc),
+      state
+    });
+  }
+
+  /**
+   * Determines whether prompting the user for a permission is currently
+   * suppressed by the denial policy given at construction time.
+   *
+   * @param {string} key - The key for the permission.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the user must not be
+   *   prompted and `false` if not.
+   */
+  async _isPromptSuppressed(key) {
+    if(!this._denialPolicy) {
+      return false;
+    }
+    let record;
+    try {
+      const denials = await this.denials;
+      record = await denials.getItem(key);
+    } catch(e) {
+      _throwIfNotNoStorageError(e);
+    }
+    if(!record) {
+      return false;
+    }
+
+    const {maxDenials = Infinity, backoff} = this._denialPolicy;
+    if(record.count >= maxDenials) {
+      return true;
+    }
+    if(backoff) {
+      // wait `delay * factor ^ (denials - 1)` before prompting again
+      const {delay, factor = 2, maxDelay = Infinity} = backoff;
+      const wait = Math.min(delay * factor ** (record.count - 1), maxDelay);
+      return Date.now() < record.lastDenied + wait;
+    }
+    return false;
+  }
+
+  /**
+   * Determines whether the user has denied a permission since a given time.
+   *
+   * @param {string} key - The key for the permission.
+   * @param {number} time - The time, in ms since the epoch.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the permission was
+   *   denied at or after the time and `false` if not.
+   */
+  async _wasDeniedSince(key, time) {
+    try {
+      const denials = await this.denials;
+      const record = await denials.getItem(key);
+      return !!record && record.lastDenied >= time;
+    } catch(e) {
+      _throwIfNotNoStorageError(e);
+    }
+    return false;
+  }
+
+  /**
+   * Records the user's decision on a permission request; denials are
+   * counted and a grant clears any previous denials.
+   *
+   * @param {string} key - The key for the permission.
+   * @param {string} state - The state the user chose.
+   *
+   * @returns {Promise} Resolves once the decision has been recorded.
+   */
+  async _recordDecision(key, state) {
+    try {
+      const denials = await this.denials;
+      if(state === 'granted') {
+        await denials.removeItem(key);
+      } else if(state === 'denied') {
+        const record = await denials.getItem(key) || {count: 0};
+        await denials.setItem(
+          key, {count: record.count + 1, lastDenied: Date.now()});
+      }
+    } catch(e) {
+      _throwIfNotNoStorageError(e);
+    }
+  }
+
+  /**
+   * Resets the recorded denials for a permission (or for every permission if
+   * no PermissionDescriptor is given) so that the relying origin may prompt
+   * the user again.
+   *
+   * @param {object} [permissionDesc] - The PermissionDescriptor to reset
+   *   denials for.
+   *
+   * @returns {Promise} Resolves once the denials have been reset.
+   */
+  async _resetDenials(permissionDesc) {
+    if(permissionDesc !== undefined) {
+      this._validatePermissionDescriptor(permissionDesc);
+    }
+    try {
+      const denials = await this.denials;
+      if(permissionDesc === undefined) {
+        await denials.clear();
+      } else {
+        await denials.removeItem(this._getPermissionKey(permissionDesc));
+      }
+    } catch(e) {
+      _throwIfNotNoStorageError(e);
+    }
+  }
+
+  /**
+   * Gets the effective state of a permission. The state is, in order of
+   * precedence: the state yielded by the policy given at construction time
+   * (unless `prompt`), the state stored for the exact permission, `granted`
+   * if the permission was registered with an `implies` function and any
+   * stored grant implies it, or the `defaultState` the permission was
+   * registered with.
+   *
+   * @param {object} permissionDesc - The PermissionDescriptor to check.
+   *
+   * @returns {Promise<string>} Resolves to the state of the permission.
+   */
+  async _getState(permissionDesc) {
+    const policyState = await this._evaluatePolicy(permissionDesc);
+    if(policyState !== 'prompt') {
+      return policyState;
+    }
+
+    const key = this._getPermissionKey(permissionDesc);
+    const {state} = await this._getStoredStatus(key);
+    if(state !== 'prompt') {
+      return state;
+    }
+    const {implies, defaultState} = this.registry[permissionDesc.name];
+    if(implies) {
+      const granted = await this._getGrantedDescriptors(permissionDesc.name);
+      if(granted.some(grantedDesc => implies(grantedDesc, permissionDesc))) {
+        return 'granted';
+      }
+    }
+    return defaultState;
+  }
+
+  /**
+   * Evaluates the policy given at construction time for a permission.
+   *
+   * @param {object} permissionDesc - The PermissionDescriptor to evaluate.
+   *
+   * @returns {Promise<string>} Resolves to the state yielded by the policy.
+   */
+  async _evaluatePolicy(permissionDesc) {
+    const origin = await this._relyingOrigin;
+    const state = await this._policy({origin, permissionDesc}) || 'prompt';
+    if(!VALID_PERMISSION_STATES.includes(state)) {
+      throw new Error(`Invalid permission policy state "${state}".`);
+    }
+    return state;
+  }
+
+  /**
+   * Gets the descriptors of all current grants of a permission.
+   *
+   * @param {string} name - The name of the permission.
+   *
+   * @returns {Promise<Array<object>>} Resolves to the PermissionDescriptors.
+   */
+  async _getGrantedDescriptors(name) {
+    const descriptors = [];
+    for(const status of this._sessionStatuses.values()) {
+      if(status.descriptor.name === name) {
+        descriptors.push(status.descriptor);
+      }
+    }
     try {
-      // set permission status back to default, which is `prompt`
       const permissions = await this.permissions;
-      await permissions.setItem(permissionDesc.name, {state: 'prompt'});
+      await permissions.iterate((status, key) => {
+        const descriptor = _getDescriptor(status, key);
+        if(descriptor.name === name && status.state === 'granted' &&
+          !_isExpired(status)) {
+          descriptors.push(descriptor);
+        }
+      });
     } catch(e) {
       _throwIfNotNoStorageError(e);
     }
-    // call `query` according to spec
-    return this.query(permissionDesc);
+    return descriptors;
+  }
+
+  /**
+   * Gets the stored status for a permission. Session grants take precedence
+   * over persisted statuses and expired grants are pruned.
+   *
+   * @param {string} key - The key for the permission.
+   *
+   * @returns {Promise<object>} Resolves to the stored status, defaulting to
+   *   `{state: 'prompt'}` when none is stored or the stored one has expired.
+   */
+  async _getStoredStatus(key) {
+    const sessionStatus = this._sessionStatuses.get(key);
+    if(sessionStatus) {
+      return sessionStatus;
+    }
+    try {
+      const permissions = await this.permissions;
+      const status = await permissions.getItem(key);
+      if(status) {
+        if(!_isExpired(status)) {
+          return status;
+        }
+        await permissions.removeItem(key);
+        const {name} = _getDescriptor(status, key);
+        this._notifyChange({key, name, state: 'prompt'});
+      }
+    } catch(e) {
+      _throwIfNotNoStorageError(e);
+    }
+    return {state: 'prompt'};
+  }
+
+  /**
+   * Removes all expired grants for the relying origin from storage.
+   *
+   * @returns {Promise<Array<object>>} Resolves to the PermissionDescriptors
+   *   of the grants that were pruned.
+   */
+  async _pruneExpired() {
+    const expired = [];
+    try {
+      const permissions = await this.permissions;
+      await permissions.iterate((status, key) => {
+        if(_isExpired(status)) {
+          expired.push({key, descriptor: _getDescriptor(status, key)});
+        }
+      });
+      for(const {key, descriptor} of expired) {
+        await permissions.removeItem(key);
+        this._notifyChange({key, name: descriptor.name, state: 'prompt'});
+      }
+    } catch(e) {
+      _throwIfNotNoStorageError(e);
+    }
+    return expired.map(({descriptor}) => descriptor);
+  }
+
+  /**
+   * Stores the status for a permission.
+   *
+   * @param {object} permissionDesc - The PermissionDescriptor for the
+   *   permission.
+   * @param {object} status - The status to store.
+   *
+   * @returns {Promise} Resolves once the status has been stored.
+   */
+  async _setStoredStatus(permissionDesc, status) {
+    const key = this._getPermissionKey(permissionDesc);
+    status = {...status, descriptor: this._getStoredDescriptor(permissionDesc)};
+    try {
+      const permissions = await this.permissions;
+      await permissions.setItem(key, status);
+      // track that the relying origin has stored permissions
+      const relyingOrigin = await this._relyingOrigin;
+      await PermissionManager._getOriginStorage().setItem(
+        relyingOrigin, _getPermissionStorageConfig(relyingOrigin));
+    } catch(e) {
+      _throwIfNotNoStorageError(e);
+    }
+  }
+
+  /**
+   * Creates a live PermissionStatus that will be updated whenever the state
+   * of the permission changes.
+   *
+   * @param {object} permissionDesc - The PermissionDescriptor for the
+   *   permission.
+   * @param {string} state - The current state of the permission.
+   *
+   * @returns {PermissionStatus} The PermissionStatus.
+   */
+  _createStatus(permissionDesc, state) {
+    const status = new PermissionStatus({name: permissionDesc.name, state});
+    const key = this._getPermissionKey(permissionDesc);
+    let entry = this._statuses.get(key);
+    if(!entry) {
+      entry = {permissionDesc, refs: new Set()};
+      this._statuses.set(key, entry);
+    }
+    // hold weakly so statuses no longer in use can be garbage collected,
+    // dropping the references to any that have been
+    for(const ref of entry.refs) {
+      if(!ref.deref()) {
+        entry.refs.delete(ref);
+      }
+    }
+    entry.refs.add(new WeakRef(status));
+    return status;
+  }
+
+  /**
+   * Stops this instance from receiving changes made in other contexts so
+   * that it can be garbage collected; its PermissionStatus instances are no
+   * longer updated for such changes. Changes made via this instance are
+   * still propagated. This is a private method that may be called by a
+   * mediator once the instance is no longer needed.
+   */
+  _close() {
+    this._closed = true;
+    if(this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+  }
+
+  /**
+   * Updates all live PermissionStatus instances for a permission in this
+   * context and notifies other contexts of the change.
+   *
+   * @param {object} change - The change.
+   * @param {string} change.key - The key for the permission.
+   * @param {string} change.name - The name of the permission.
+   * @param {string} change.state - The new state of the permission.
+   * @param {boolean} [change.revoked=false] - `true` if the permission was
+   *   explicitly revoked, which also ends any session grants.
+   */
+  _notifyChange({key, name, state, revoked = false}) {
+    this._updateStatuses({key, name, state});
+    const message = {key, name, state, revoked};
+    if(this._channel) {
+      this._channel.postMessage(message);
+    } else if(this._closed) {
+      Promise.resolve(this._relyingOrigin).then(
+        relyingOrigin => _broadcastChange(relyingOrigin, message));
+    }
+  }
+
+  /**
+   * Applies a change made in another context to this one. Besides changes to
+   * a single permission key, changes may revoke a permission by descriptor
+   * or revoke every permission of the relying origin; these are sent by the
+   * mediator, which does not know the keys of session grants.
+   *
+   * @param {object} change - The change.
+   * @param {string} [change.key] - The key for the permission.
+   * @param {string} [change.name] - The name of the permission.
+   * @param {object} [change.descriptor] - The PermissionDescriptor of a
+   *   revoked permission, given instead of `key`.
+   * @param {boolean} [change.all=false] - `true` if every permission was
+   *   revoked.
+   * @param {string} change.state - The new state of the permission.
+   * @param {boolean} [change.revoked=false] - `true` if the permission was
+   *   explicitly revoked, which also ends any session grants.
+   */
+  _receiveChange(change) {
+    if(change.all) {
+      this._sessionStatuses.clear();
+      this._refreshStatuses().catch(e => console.error(e));
+      return;
+    }
+    if(change.descriptor) {
+      const target = _canonicalize(change.descriptor);
+      for(const [key, {descriptor}] of this._sessionStatuses) {
+        if(_canonicalize(descriptor) === target) {
+          this._sessionStatuses.delete(key);
+          this._updateStatuses({key, name: descriptor.name, state: 'prompt'});
+        }
+      }
+      return;
+    }
+    if(change.revoked) {
+      this._sessionStatuses.delete(change.key);
+    } else if(this._sessionStatuses.has(change.key)) {
+      // a session grant still applies in this context
+      return;
+    }
+    this._updateStatuses(change);
+  }
+
+  /**
+   * Updates all live PermissionStatus instances affected by a change to a
+   * permission in this context, dispatching `change` events on any whose
+   * state changed.
+   *
+   * @param {object} change - The change.
+   * @param {string} change.key - The key for the permission.
+   * @param {string} change.name - The name of the permission.
+   * @param {string} change.state - The new state of the permission.
+   */
+  _updateStatuses({key, name, state}) {
+    const registration = this.registry[name];
+    if(registration && registration.implies) {
+      // a change to one grant may affect any other descriptor for the same
+      // permission, so recompute them all
+      this._refreshStatuses(name).catch(e => console.error(e));
+      return;
+    }
+    this._setStatuses(key, state);
+  }
+
+  /**
+   * Recomputes the state of all live PermissionStatus instances for a
+   * permission.
+   *
+   * @param {string} [name] - The name of the permission; if not given, the
+   *   statuses of every permission are recomputed.
+   *
+   * @returns {Promise} Resolves once all statuses have been updated.
+   */
+  async _refreshStatuses(name) {
+    for(const [key, {permissionDesc}] of this._statuses) {
+      if(name === undefined || permissionDesc.name === name) {
+        this._setStatuses(key, await this._getState(permissionDesc));
+      }
+    }
+  }
+
+  /**
+   * Sets the state of all live PermissionStatus instances for a permission
+   * key.
+   *
+   * @param {string} key - The key for the permission.
+   * @param {string} state - The new state of the permission.
+   */
+  _setStatuses(key, state) {
+    const entry = this._statuses.get(key);
+    if(!entry) {
+      return;
+    }
+    for(const ref of entry.refs) {
+      const status = ref.deref();
+      if(!status) {
+        entry.refs.delete(ref);
+        continue;
+      }
+      status._setState(state);
+    }
+    if(entry.refs.size === 0) {
+      this._statuses.delete(key);
+    }
   }
 
   /**
    * Registers a permission.
    *
+   * A permission that is registered with a `schema` may be requested with
+   * parameters (e.g. `{name: 'permissionName', types: ['Type']}`); each
+   * distinct set of parameters is stored separately, under the key returned
+   * by `key` or, by default, under the permission name followed by the
+   * canonicalized parameters. A permission that is registered without a
+   * `schema` ignores any parameters and is stored under its name.
+   *
    * @param {string} permissionName - The permission name.
+   * @param {object} [options] - The options to use.
+   * @param {object} [options.schema] - A JSON Schema that every
+   *   PermissionDescriptor for the permission must match.
+   * @param {Function} [options.key] - A function that derives the storage
+   *   key for a PermissionDescriptor: `key(permissionDesc)`.
+   * @param {Function} [options.implies] - A function that returns `true` if
+   *   a grant for one PermissionDescriptor also grants another:
+   *   `implies(grantedDesc, permissionDesc)`.
+   * @param {string} [options.defaultState='prompt'] - The state of the
+   *   permission when neither policy nor the user has decided otherwise;
+   *   the user is never prompted for a permission that defaults to
+   *   `granted` or `denied`.
    */
-  _registerPermission(permissionName) {
-    this.registry[permissionName] = true;
+  _registerPermission(permissionName, {
+    schema, key, implies, defaultState = 'prompt'
+  } = {}) {
+    if(schema !== undefined && !(schema && typeof schema === 'object')) {
+      throw new TypeError('"schema" must be an object.');
+    }
+    if(key !== undefined && typeof key !== 'function') {
+      throw new TypeError('"key" must be a function.');
+    }
+    if(implies !== undefined && typeof implies !== 'function') {
+      throw new TypeError('"implies" must be a function.');
+    }
+    if(!VALID_PERMISSION_STATES.includes(defaultState)) {
+      throw new Error(`Invalid permission state "${defaultState}".`);
+    }
+    this.registry[permissionName] = {schema, key, implies, defaultState};
+  }
+
+  /**
+   * Gets the key under which the status of a permission is stored.
+   *
+   * @param {object} permissionDesc - The PermissionDescriptor for the
+   *   permission.
+   *
+   * @returns {string} The key.
+   */
+  _getPermissionKey(permissionDesc) {
+    const {schema, key} = this.registry[permissionDesc.name];
+    if(key) {
+      return key(permissionDesc);
+    }
+    if(!schema) {
+      return permissionDesc.name;
+    }
+    return _getDefaultPermissionKey(permissionDesc);
+  }
+
+  /**
+   * Gets the PermissionDescriptor to store along with the status of a
+   * permission; parameters are only kept for permissions with a schema.
+   *
+   * @param {object} permissionDesc - The PermissionDescriptor.
+   *
+   * @returns {object} The PermissionDescriptor to store.
+   */
+  _getStoredDescriptor(permissionDesc) {
+    if(!this.registry[permissionDesc.name].schema) {
+      return {name: permissionDesc.name};
+    }
+    return JSON.parse(JSON.stringify(permissionDesc));
   }
 
   /**
@@ -139,13 +844,18 @@ export class PermissionManager {
     if(!(permissionDesc && typeof permissionDesc === 'object')) {
       throw new TypeError('"permissionDesc" must be an object.');
     }
-    // TODO: support EventHandler `onchange` too
     if(typeof permissionDesc.name !== 'string') {
       throw new TypeError('"permissionDesc.name" must be a string.');
     }
-    if(!this.registry[permissionDesc.name]) {
+    const registration = this.registry[permissionDesc.name];
+    if(!registration) {
       throw new Error(`Unknown permission "${permissionDesc.name}".`);
     }
+    if(registration.schema) {
+      assertValid(registration.schema, permissionDesc, {
+        name: `"${permissionDesc.name}" permission descriptor`
+      });
+    }
   }
 
   /**
@@ -161,7 +871,333 @@ export class PermissionManager {
       VALID_PERMISSION_STATES.includes(status.state))) {
       throw new Error(`Invalid permission state "${status.state}".`);
     }
+    if(status.scope !== undefined && status.scope !== 'session') {
+      throw new Error(`Invalid permission scope "${status.scope}".`);
+    }
+    if(status.expires !== undefined) {
+      getExpirationTime(status.expires, {name: 'Permission'});
+    }
   }
+
+  /**
+   * Gets origin storage. This storage is used to track all relying origins
+   * that have stored permissions.
+   *
+   * @returns {object} The origin storage.
+   */
+  static _getOriginStorage() {
+    return localforage.createInstance({
+      name: 'permissionOrigin',
+      driver: localforage.driver()
+    });
+  }
+
+  /**
+   * Gets the permission storage for a relying origin.
+   *
+   * @param {string} relyingOrigin - The relying origin.
+   *
+   * @returns {object} The permission storage.
+   */
+  static _getPermissionStorage(relyingOrigin) {
+    return localforage.createInstance(
+      _getPermissionStorageConfig(relyingOrigin));
+  }
+
+  /**
+   * Returns the stored permissions for every relying origin. Session grants
+   * are only kept in memory by the `PermissionManager` that requested them,
+   * so they are not listed, but they are ended by `_revokePermission()` and
+   * `_revokeAllPermissions()`. This is a private method that may be called
+   * by a mediator to display or manage permissions from within the mediator.
+   *
+   * @returns {Promise<Array<object>>} Resolves to an array of objects of the
+   *   form `{origin, permissions}` where `permissions` is an array of objects
+   *   of the form `{name, descriptor, state}`.
+   */
+  static async _getAllPermissions() {
+    const origins = [];
+    const originStorage = PermissionManager._getOriginStorage();
+    await originStorage.iterate((databaseConfig, origin) => {
+      origins.push({origin, databaseConfig});
+    });
+    return Promise.all(origins.map(async ({origin, databaseConfig}) => {
+      const storage = localforage.createInstance(databaseConfig);
+      const permissions = [];
+      await storage.iterate((status, key) => {
+        // expired grants are reported as `prompt`
+        const state = _isExpired(status) ? 'prompt' : status.state;
+        const descriptor = _getDescriptor(status, key);
+        const permission = {name: descriptor.name, descriptor, state};
+        if(state === 'granted' && status.expires !== undefined) {
+          permission.expires = status.expires;
+        }
+        permissions.push(permission);
+      });
+      return {origin, permissions};
+    }));
+  }
+
+  /**
+   * Exports the stored permission statuses for every relying origin. Expired
+   * grants and statuses with a state of `prompt` are omitted as they do not
+   * record a decision. This is a private method that may be called by a
+   * mediator to back up its state.
+   *
+   * @returns {Promise<object>} Resolves to an object mapping each relying
+   *   origin to an object that maps permission keys to stored statuses of
+   *   the form `{state, descriptor, expires}`.
+   */
+  static async _exportPermissions() {
+    const exported = {};
+    const origins = [];
+    await PermissionManager._getOriginStorage().iterate((_, origin) => {
+      origins.push(origin);
+    });
+    for(const origin of origins) {
+      const statuses = {};
+      const storage = PermissionManager._getPermissionStorage(origin);
+      await storage.iterate((status, key) => {
+        if(status.state !== 'prompt' && !_isExpired(status)) {
+          statuses[key] = {...status, descriptor: _getDescriptor(status, key)};
+        }
+      });
+      if(Object.keys(statuses).length > 0) {
+        exported[origin] = statuses;
+      }
+    }
+    return exported;
+  }
+
+  /**
+   * Imports permission statuses, as exported by `_exportPermissions()`, for
+   * a relying origin. Existing decisions that differ from imported ones are
+   * reported as conflicts and kept. This is a private method that may be
+   * called by a mediator to restore its state from a backup.
+   *
+   * @param {string} relyingOrigin - The relying origin.
+   * @param {object} statuses - An object mapping permission keys to stored
+   *   statuses.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.dryRun=false] - `true` to only report what
+   *   would be imported.
+   *
+   * @returns {Promise<object>} Resolves to `{imported, conflicts}` where
+   *   `imported` is the number of statuses (to be) stored and `conflicts` is
+   *   an array of the conflicting permission keys.
+   */
+  static async _importPermissions(
+    relyingOrigin, statuses, {dryRun = false} = {}) {
+    const storage = PermissionManager._getPermissionStorage(relyingOrigin);
+    const writes = [];
+    const conflicts = [];
+    for(const key in statuses) {
+      const status = statuses[key];
+      const existing = await storage.getItem(key);
+      if(existing && existing.state !== 'prompt' && !_isExpired(existing)) {
+        if(existing.state === status.state) {
+          continue;
+        }
+        conflicts.push(key);
+        continue;
+      }
+      writes.push({key, status});
+    }
+    if(dryRun || writes.length === 0) {
+      return {imported: writes.length, conflicts};
+    }
+
+    for(const {key, status} of writes) {
+      await storage.setItem(key, status);
+    }
+    await PermissionManager._getOriginStorage().setItem(
+      relyingOrigin, _getPermissionStorageConfig(relyingOrigin));
+    for(const {key, status: {state, descriptor}} of writes) {
+      _broadcastChange(relyingOrigin, {key, name: descriptor.name, state});
+      await auditLog.append({
+        actor: 'mediator',
+        origin: relyingOrigin,
+        action: 'import',
+        permission: descriptor,
+        state
+      });
+    }
+    return {imported: writes.length, conflicts};
+  }
+
+  /**
+   * Revokes a permission for a relying origin. This is a private method that
+   * may be called by a mediator to revoke a permission from within the
+   * mediator.
+   *
+   * @param {string} relyingOrigin - The relying origin.
+   * @param {object} permissionDesc - The PermissionDescriptor of the
+   *   permission to revoke, as returned by `_getAllPermissions()`
+   *   (e.g. {name: 'permissionName'}).
+   *
+   * @returns {Promise} Resolves once the permission has been revoked.
+   */
+  static async _revokePermission(relyingOrigin, permissionDesc) {
+    if(!(permissionDesc && typeof permissionDesc.name === 'string')) {
+      throw new TypeError('"permissionDesc.name" must be a string.');
+    }
+    const {name} = permissionDesc;
+    const target = _canonicalize(permissionDesc);
+    const storage = PermissionManager._getPermissionStorage(relyingOrigin);
+    const revoked = [];
+    await storage.iterate((status, key) => {
+      const descriptor = _getDescriptor(status, key);
+      if(_canonicalize(descriptor) === target) {
+        revoked.push({key, descriptor});
+      }
+    });
+    for(const {key, descriptor} of revoked) {
+      await storage.setItem(key, {state: 'prompt', descriptor});
+      _broadcastChange(
+        relyingOrigin, {key, name, state: 'prompt', revoked: true});
+      await auditLog.append({
+        actor: 'mediator',
+        origin: relyingOrigin,
+        action: 'revoke',
+        permission: descriptor,
+        state: 'prompt'
+      });
+    }
+    // end any session grants, which are not stored
+    _broadcastChange(relyingOrigin, {
+      descriptor: permissionDesc, name, state: 'prompt', revoked: true
+    });
+  }
+
+  /**
+   * Revokes every permission for a relying origin, removing its permission
+   * storage. This is a private method that may be called by a mediator to
+   * revoke permissions from within the mediator.
+   *
+   * @param {string} relyingOrigin - The relying origin.
+   *
+   * @returns {Promise} Resolves once the permissions have been revoked.
+   */
+  static async _revokeAllPermissions(relyingOrigin) {
+    const storage = PermissionManager._getPermissionStorage(relyingOrigin);
+    const revoked = [];
+    await storage.iterate((status, key) => {
+      revoked.push({key, descriptor: _getDescriptor(status, key)});
+    });
+    await storage.clear();
+    await PermissionManager._getOriginStorage().removeItem(relyingOrigin);
+    // a single change revokes both stored permissions and session grants
+    _broadcastChange(
+      relyingOrigin, {all: true, state: 'prompt', revoked: true});
+    for(const {descriptor} of revoked) {
+      await auditLog.append({
+        actor: 'mediator',
+        origin: relyingOrigin,
+        action: 'revoke',
+        permission: descriptor,
+        state: 'prompt'
+      });
+    }
+  }
+}
+
+function _validateDenialPolicy(denialPolicy) {
+  if(!(denialPolicy && typeof denialPolicy === 'object')) {
+    throw new TypeError('"denialPolicy" must be an object.');
+  }
+  const {maxDenials, backoff} = denialPolicy;
+  if(maxDenials !== undefined &&
+    !(Number.isInteger(maxDenials) && maxDenials > 0)) {
+    throw new TypeError(
+      '"denialPolicy.maxDenials" must be a positive integer.');
+  }
+  if(backoff === undefined) {
+    return;
+  }
+  if(!(backoff && typeof backoff === 'object')) {
+    throw new TypeError('"denialPolicy.backoff" must be an object.');
+  }
+  const {delay, factor = 2, maxDelay = Infinity} = backoff;
+  if(!(typeof delay === 'number' && delay > 0)) {
+    throw new TypeError(
+      '"denialPolicy.backoff.delay" must be a positive number.');
+  }
+  if(!(typeof factor === 'number' && factor >= 1)) {
+    throw new TypeError(
+      '"denialPolicy.backoff.factor" must be a number >= 1.');
+  }
+  if(!(typeof maxDelay === 'number' && maxDelay > 0)) {
+    throw new TypeError(
+      '"denialPolicy.backoff.maxDelay" must be a positive number.');
+  }
+}
+
+function _getDefaultPermissionKey(permissionDesc) {
+  const {name, ...parameters} = permissionDesc;
+  if(Object.keys(parameters).length === 0) {
+    return name;
+  }
+  return name + '?' + _canonicalize(parameters);
+}
+
+function _getDescriptor(status, key) {
+  // statuses stored before descriptors were stored are keyed by name
+  return status.descriptor || {name: key};
+}
+
+function _canonicalize(value) {
+  // JSON with object keys sorted so equivalent descriptors match
+  if(Array.isArray(value)) {
+    return '[' + value.map(_canonicalize).join(',') + ']';
+  }
+  if(value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().map(
+      k => JSON.stringify(k) + ':' + _canonicalize(value[k])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function _isExpired(status) {
+  return typeof status.expires === 'number' && status.expires <= Date.now();
+}
+
+async function _indexOrigin(relyingOrigin, storage) {
+  try {
+    const originStorage = PermissionManager._getOriginStorage();
+    if(await originStorage.getItem(relyingOrigin) === null &&
+      await storage.length() > 0) {
+      await originStorage.setItem(
+        relyingOrigin, _getPermissionStorageConfig(relyingOrigin));
+    }
+  } catch(e) {
+    _throwIfNotNoStorageError(e);
+  }
+}
+
+function _getPermissionStorageConfig(relyingOrigin) {
+  return {
+    name: 'permission_' + relyingOrigin,
+    driver: localforage.driver()
+  };
+}
+
+function _broadcastChange(relyingOrigin, message) {
+  broadcast(_getChannelName(relyingOrigin), message);
+}
+
+function _createChannel(relyingOrigin, onChange) {
+  return createChannel(_getChannelName(relyingOrigin), data => {
+    if(data && VALID_PERMISSION_STATES.includes(data.state) &&
+      (data.all === true ||
+      (typeof data.key === 'string' && typeof data.name === 'string') ||
+      (data.descriptor && typeof data.descriptor.name === 'string'))) {
+      onChange(data);
+    }
+  });
+}
+
+function _getChannelName(relyingOrigin) {
+  return 'permission_' + relyingOrigin;
 }
 
 async function deny() {
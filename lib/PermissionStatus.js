@@ -0,0 +1,79 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// listeners are kept off of the instance so that a PermissionStatus can still
+// be structured cloned (e.g. when returned to a relying origin over RPC)
+const _listeners = new WeakMap();
+const _onchange = new WeakMap();
+
+/* A live PermissionStatus; its `state` is kept up to date by the
+PermissionManager that created it and a `change` event is dispatched
+whenever that state changes. */
+export class PermissionStatus {
+  constructor({name, state}) {
+    this.name = name;
+    this.state = state;
+    _listeners.set(this, new Map());
+  }
+
+  get onchange() {
+    return _onchange.get(this) || null;
+  }
+
+  set onchange(fn) {
+    const existing = _onchange.get(this);
+    if(existing) {
+      this.removeEventListener('change', existing);
+      _onchange.delete(this);
+    }
+    if(typeof fn === 'function') {
+      this.addEventListener('change', fn);
+      _onchange.set(this, fn);
+    }
+  }
+
+  addEventListener(type, fn) {
+    const listeners = _listeners.get(this);
+    if(!listeners.has(type)) {
+      listeners.set(type, new Set());
+    }
+    listeners.get(type).add(fn);
+  }
+
+  removeEventListener(type, fn) {
+    const listeners = _listeners.get(this).get(type);
+    if(listeners) {
+      listeners.delete(fn);
+    }
+  }
+
+  dispatchEvent(event) {
+    const listeners = _listeners.get(this).get(event.type);
+    if(!listeners) {
+      return true;
+    }
+    for(const fn of [...listeners]) {
+      try {
+        fn.call(this, event);
+      } catch(e) {
+        console.error(e);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Updates the state of this PermissionStatus, dispatching a `change` event
+   * if the state differs from the current one.
+   *
+   * @param {string} state - The new permission state.
+   */
+  _setState(state) {
+    if(this.state === state) {
+      return;
+    }
+    this.state = state;
+    this.dispatchEvent({type: 'change', target: this});
+  }
+}
@@ -1,23 +1,69 @@
 /*!
  * Copyright (c) 2017-2024 Digital Bazaar, Inc. All rights reserved.
  */
-import localforage from './storage.js';
+import * as encryption from './encryption.js';
+import {broadcast, createChannel, getExpirationTime} from './helpers.js';
+import localforage, {dropInstance} from './storage.js';
+import {assertValid} from './schema.js';
+import {EventEmitter} from 'web-request-rpc';
 import {utils} from 'web-request-rpc';
+import {withLock} from './locks.js';
+
+const DEFAULT_QUERY_LIMIT = 100;
+// identifies stored item records; items stored before records were
+// introduced are stored as-is
+const RECORD_TYPE = 'SimpleContainerItemRecord';
+// the key in an index's storage for the item property paths it covers
+const INDEX_PATHS_KEY = 'paths';
+
+// item type => sorted item property paths to index
+const _indexes = new Map();
+// item types whose items are encrypted by an instance in this context
+const _encryptedTypes = new Set();
 
 /* A SimpleContainerService provides the implementation for simple container
-instances (those with a common CRUD interface) on a particular remote origin. */
-export class SimpleContainerService {
+instances (those with a common CRUD interface) on a particular remote origin.
+
+Each item is stored in a record with an opaque `revision` that changes
+whenever the item does and an `updatedAt` timestamp. Passing `ifMatch` with
+a revision when setting or deleting an item makes the operation fail with an
+`InvalidStateError` if the item has since been changed, for example, in
+another browsing context.
+
+If the `encrypt` option is set, items are encrypted at rest; encrypted items
+are decrypted transparently when read, whether or not the option is set.
+Encryption keys can only be kept in IndexedDB, so the option is rejected
+with a `NotSupportedError` where it is unavailable (see
+`encryption.isSupported()`).
+
+Items may be set with an `expires` time after which they are treated as if
+they do not exist; `_sweep()` removes them from storage.
+
+Item property paths given via the `indexes` option (or `_setIndexes()`) are
+indexed so that `_match()` can find items by those properties without
+reading every item. Indexed values are not encrypted, so indexes cannot be
+used together with the `encrypt` option.
+
+It emits `set`, `delete`, and `clear` events of the form
+`{type, handler, itemType, key}` (no `key` for `clear`, plus the new
+`revision` for `set`) whenever a container for one of the relying origin's
+handlers is changed, whether by this instance or in another browsing context
+on the mediator origin. */
+export class SimpleContainerService extends EventEmitter {
   constructor(relyingOrigin, {
     itemType,
     permissionManager,
     requiredPermission,
-    validateKey = () => {
-      throw new Error('Not implemented.');
-    },
-    validateItem = () => {
-      throw new Error('Not implemented.');
-    }
+    keySchema,
+    itemSchema,
+    validateKey,
+    validateItem,
+    quota = {},
+    encrypt = false,
+    indexes
   }) {
+    super();
+
     if(!(relyingOrigin && (typeof relyingOrigin === 'string' ||
       relyingOrigin.then))) {
       throw new TypeError(
@@ -30,52 +76,308 @@ export class SimpleContainerService {
     if(!(requiredPermission && typeof requiredPermission === 'string')) {
       throw new TypeError('"requiredPermission" must be a non-empty string.');
     }
+    if(typeof encrypt !== 'boolean') {
+      throw new TypeError('"encrypt" must be a boolean.');
+    }
+    if(encrypt && !encryption.isSupported()) {
+      // fail now rather than on the first write
+      throw new DOMException(
+        'Items cannot be encrypted without IndexedDB, which is needed to ' +
+        'store encryption keys.', 'NotSupportedError');
+    }
     this._relyingOrigin = relyingOrigin;
     this._itemType = itemType;
     this._permissionManager = permissionManager;
     this._requiredPermission = requiredPermission;
-    this._validateKey = validateKey;
-    this._validateItem = validateItem;
+    // keys and items are validated against their schemas (if given) and
+    // then by any custom validation function
+    this._validateKey = _createValidator({
+      schema: keySchema, validate: validateKey, name: 'key'
+    });
+    this._validateItem = _createValidator({
+      schema: itemSchema, validate: validateItem, name: 'item'
+    });
+    this._quota = _normalizeQuota(quota);
+    this._encrypt = encrypt;
+    if(encrypt) {
+      // indexed values are stored unencrypted
+      if(indexes !== undefined || _indexes.has(itemType)) {
+        throw new TypeError(
+          '"indexes" cannot be used with "encrypt"; indexed values are not ' +
+          'encrypted.');
+      }
+      _encryptedTypes.add(itemType);
+    }
+    if(indexes !== undefined) {
+      SimpleContainerService._setIndexes(itemType, indexes);
+    }
+
+    // re-emit changes made in other browsing contexts to the relying
+    // origin's handlers; changes to other origins' handlers must not leak
+    this._channel = _createChannel(itemType, async event => {
+      try {
+        if(utils.originMatches(event.handler, await this._relyingOrigin)) {
+          await this.emit(event);
+        }
+      } catch(e) {
+        console.error(e);
+      }
+    });
   }
 
-  async delete(url, key) {
-    if(!await this.has(url, key)) {
-      return false;
+  /**
+   * Deletes an item for a handler.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {string} key - The key of the item to delete.
+   * @param {object} [options] - The options to use.
+   * @param {string|null} [options.ifMatch] - Only delete the item if its
+   *   current revision is this revision; `null` requires that there is no
+   *   item.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the item existed and
+   *   was deleted and `false` if not.
+   */
+  async delete(url, key, {ifMatch} = {}) {
+    await this._checkPermission();
+    this._validateKey(key);
+    const {previous: [value]} = await this._write(
+      url, [{key, item: null, ifMatch}]);
+    return value !== null;
+  }
+
+  /**
+   * Deletes several items for a handler; either every item is deleted or,
+   * if any deletion fails, none are.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {Array<string>} keys - The keys of the items to delete.
+   *
+   * @returns {Promise<Array<boolean>>} Resolves to an array with, for each
+   *   key, `true` if the item existed and was deleted and `false` if not.
+   */
+  async deleteMany(url, keys) {
+    await this._checkPermission();
+    _assertUniqueKeys(keys);
+    keys.forEach(key => this._validateKey(key));
+    const {previous} = await this._write(
+      url, keys.map(key => ({key, item: null})));
+    return previous.map(value => value !== null);
+  }
+
+  /**
+   * Gets an item for a handler.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {string} key - The key of the item to get.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.withRevision=false] - `true` to resolve to
+   *   `{item, revision, updatedAt, expires}` (no `expires` if the item does
+   *   not expire) instead of just the item.
+   *
+   * @returns {Promise} Resolves to the item (or `null` if there is no item
+   *   for the key).
+   */
+  async get(url, key, {withRevision = false} = {}) {
+    const [result] = await this.getMany(url, [key], {withRevision});
+    return result;
+  }
+
+  /**
+   * Gets several items for a handler.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {Array<string>} keys - The keys of the items to get.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.withRevision=false] - `true` to resolve to
+   *   objects like those `get()` resolves to instead of just the items.
+   *
+   * @returns {Promise<Array>} Resolves to an array with, for each key, the
+   *   item or `null` if there is no item for the key.
+   */
+  async getMany(url, keys, {withRevision = false} = {}) {
+    await this._checkPermission();
+    if(!Array.isArray(keys)) {
+      throw new TypeError('"keys" must be an array.');
     }
+    keys.forEach(key => this._validateKey(key));
     const storage = await this._getStorage(url);
-    await storage.removeItem(key);
-    return true;
+    const {_itemType: itemType} = this;
+    return Promise.all(keys.map(async key => {
+      const value = _unlessExpired(await storage.getItem(key));
+      if(value === null) {
+        return null;
+      }
+      const record = await _readRecord(value, {url, itemType, key});
+      return withRevision ? record : record.item;
+    }));
   }
 
-  async get(url, key) {
+  async keys(url) {
     await this._checkPermission();
-    this._validateKey(key);
     const storage = await this._getStorage(url);
-    return storage.getItem(key);
+    const keys = [];
+    await storage.iterate((value, key) => {
+      if(_unlessExpired(value) !== null) {
+        keys.push(key);
+      }
+    });
+    return keys;
   }
 
-  async keys(url) {
+  /**
+   * Queries the items stored for a handler, returning a page of results.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {object} [options] - The options to use.
+   * @param {object} [options.filter] - An object mapping item property paths
+   *   (e.g. `'a.b'`) to values; an item matches if, for every path, its
+   *   value equals the given value or is an array that includes it.
+   * @param {string} [options.sort='key'] - `key` or an item property path to
+   *   sort by, prefixed with `-` to sort in descending order.
+   * @param {number} [options.limit=100] - The maximum number of results.
+   * @param {string} [options.cursor] - The cursor returned with the previous
+   *   page of results.
+   *
+   * @returns {Promise<object>} Resolves to `{results, cursor}` where
+   *   `results` is an array of `{key, item}` objects and `cursor` can be
+   *   passed to get the next page or is `null` if there are no more results.
+   */
+  async query(url, {
+    filter = {}, sort = 'key', limit = DEFAULT_QUERY_LIMIT, cursor
+  } = {}) {
     await this._checkPermission();
+    if(!(filter && typeof filter === 'object')) {
+      throw new TypeError('"filter" must be an object.');
+    }
+    if(!(typeof sort === 'string' && sort.replace(/^-/, '').length > 0)) {
+      throw new TypeError('"sort" must be a non-empty string.');
+    }
+    if(!(Number.isInteger(limit) && limit > 0)) {
+      throw new TypeError('"limit" must be a positive integer.');
+    }
+    const position = cursor === undefined ? null : _parseCursor(cursor);
+
     const storage = await this._getStorage(url);
-    return storage.keys();
+    const entries = [];
+    for(const {key, item} of await _readItems(storage, url, this._itemType)) {
+      if(_matchesFilter(item, filter)) {
+        entries.push({key, item});
+      }
+    }
+
+    // order by sort value, then by key so the order is total
+    const descending = sort.startsWith('-');
+    const path = descending ? sort.slice(1) : sort;
+    const direction = descending ? -1 : 1;
+    const getSortValue = ({key, item}) =>
+      path === 'key' ? key : _getProperty(item, path);
+    const compare = (value1, key1, value2, key2) =>
+      direction * (_compareValues(value1, value2) ||
+        _compareValues(key1, key2));
+    entries.sort((a, b) => compare(
+      getSortValue(a), a.key, getSortValue(b), b.key));
+
+    // start after the last result of the previous page
+    let start = 0;
+    if(position) {
+      start = entries.findIndex(entry => compare(
+        getSortValue(entry), entry.key, position.value, position.key) > 0);
+      if(start === -1) {
+        start = entries.length;
+      }
+    }
+    const results = entries.slice(start, start + limit);
+    let next = null;
+    if(start + limit < entries.length) {
+      const last = results[results.length - 1];
+      next = JSON.stringify({value: getSortValue(last), key: last.key});
+    }
+    return {results, cursor: next};
   }
 
   async has(url, key) {
     return await this.get(url, key) !== null;
   }
 
-  async set(url, key, item) {
+  /**
+   * Sets an item for a handler.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {string} key - The key of the item to set.
+   * @param {*} item - The item.
+   * @param {object} [options] - The options to use.
+   * @param {string|null} [options.ifMatch] - Only set the item if its
+   *   current revision is this revision; `null` requires that there is no
+   *   item yet.
+   * @param {Date|number|string} [options.expires] - The time after which the
+   *   item expires; the item does not expire if not given.
+   *
+   * @returns {Promise<string>} Resolves to the new revision of the item.
+   */
+  async set(url, key, item, {ifMatch, expires} = {}) {
+    const [revision] = await this.setMany(
+      url, [{key, item, ifMatch, expires}]);
+    return revision;
+  }
+
+  /**
+   * Sets several items for a handler; either every item is set or, if any
+   * write fails, none are.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {Array<object>} entries - The entries to set, each of the form
+   *   `{key, item, ifMatch, expires}` where `ifMatch` and `expires` are
+   *   optional and work as they do for `set()`.
+   *
+   * @returns {Promise<Array<string>>} Resolves to the new revision of each
+   *   item once every item has been set.
+   */
+  async setMany(url, entries) {
     await this._checkPermission();
-    this._validateKey(key);
-    this._validateItem(item);
-    const storage = await this._getStorage(url);
-    storage.setItem(key, item);
+    if(!Array.isArray(entries)) {
+      throw new TypeError('"entries" must be an array.');
+    }
+    _assertUniqueKeys(entries.map(entry => entry && entry.key));
+    for(const {key, item} of entries) {
+      this._validateKey(key);
+      this._validateItem(item);
+    }
+    const {revisions} = await this._write(url, entries.map(
+      ({key, item, ifMatch, expires}) => ({
+        key, item, ifMatch,
+        expires: expires === undefined ?
+          undefined : getExpirationTime(expires, {name: 'Item'})
+      })));
+    return revisions;
+  }
+
+  /**
+   * Reports the storage used by a handler and by all of the relying origin's
+   * handlers, along with the quotas that apply to them.
+   *
+   * @param {string} url - The URL for the handler.
+   *
+   * @returns {Promise<object>} Resolves to an object of the form
+   *   `{items, bytes, origin: {items, bytes}, quota: {handler, origin}}`.
+   */
+  async usage(url) {
+    await this._checkPermission();
+    await this._getStorage(url);
+    const {items, bytes} = _sumSizes(await _getSizes(
+      SimpleContainerService._getStorage(url, this._itemType)));
+    const origin = await this._getOriginUsage(url);
+    return {items, bytes, origin, quota: this._quota};
   }
 
   async clear(url) {
     await this._checkPermission();
     const storage = await this._getStorage(url);
-    return storage.clear();
+    await withLock(_getLockName(url, this._itemType), async () => {
+      await storage.clear();
+      await _clearIndex(url, this._itemType);
+    });
+    await this._emitChange({type: 'clear', handler: url});
   }
 
   /**
@@ -91,14 +393,204 @@ export class SimpleContainerService {
     return SimpleContainerService._getStorage(url, this._itemType);
   }
 
+  /**
+   * Ensures that writing the given values for a handler will not exceed the
+   * handler's or the relying origin's quota, throwing a `QuotaExceededError`
+   * if it would.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {Array<object>} writes - The writes, each of the form
+   *   `{key, value}` where a `value` of `null` means the key will be deleted.
+   *
+   * @returns {Promise} Resolves once the check has passed.
+   */
+  async _checkQuota(url, writes) {
+    const {handler: handlerQuota, origin: originQuota} = this._quota;
+    if(_isUnlimited(handlerQuota) && _isUnlimited(originQuota)) {
+      return;
+    }
+
+    // compute usage as it will be once the writes are applied
+    const storage = SimpleContainerService._getStorage(url, this._itemType);
+    const sizes = await _getSizes(storage);
+    const current = _sumSizes(sizes);
+    for(const {key, value} of writes) {
+      if(value === null) {
+        sizes.delete(key);
+      } else {
+        sizes.set(key, _getSize(key, value));
+      }
+    }
+    const usage = _sumSizes(sizes);
+    _assertWithinQuota({current, usage, quota: handlerQuota, name: 'handler'});
+
+    if(!_isUnlimited(originQuota)) {
+      const others = await this._getOriginUsage(url, {exclude: url});
+      _assertWithinQuota({
+        current: {
+          items: others.items + current.items,
+          bytes: others.bytes + current.bytes
+        },
+        usage: {
+          items: others.items + usage.items,
+          bytes: others.bytes + usage.bytes
+        },
+        quota: originQuota,
+        name: 'origin'
+      });
+    }
+  }
+
+  /**
+   * Gets the storage used by all of the relying origin's handlers.
+   *
+   * @param {string} url - The URL for one of the relying origin's handlers.
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.exclude] - The URL of a handler to exclude.
+   *
+   * @returns {Promise<object>} Resolves to `{items, bytes}`.
+   */
+  async _getOriginUsage(url, {exclude} = {}) {
+    const {origin} = utils.parseUrl(url, await this._relyingOrigin);
+    const urls = [];
+    await SimpleContainerService._getHandlerIndex(this._itemType).iterate(
+      (handlerOrigin, handlerUrl) => {
+        if(handlerOrigin === origin && handlerUrl !== exclude) {
+          urls.push(handlerUrl);
+        }
+      });
+    if(url !== exclude && !urls.includes(url)) {
+      urls.push(url);
+    }
+    const usage = {items: 0, bytes: 0};
+    for(const handlerUrl of urls) {
+      const {items, bytes} = _sumSizes(await _getSizes(
+        SimpleContainerService._getStorage(handlerUrl, this._itemType)));
+      usage.items += items;
+      usage.bytes += bytes;
+    }
+    return usage;
+  }
+
+  /**
+   * Writes items to a handler's storage after checking any expected
+   * revisions and the handler's quota. The writes are applied all or
+   * nothing: if any write fails, those already applied are rolled back.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {Array<object>} writes - The writes, each of the form
+   *   `{key, item, ifMatch, expires}` where an `item` of `null` deletes the
+   *   key, `ifMatch` is an optional expected revision, and `expires` is an
+   *   optional expiration time in ms since the epoch.
+   *
+   * @returns {Promise<object>} Resolves to `{previous, revisions}` with the
+   *   previously stored value (or `null` if there was none or it had
+   *   expired) and the new revision (or `null` if deleted) for each write.
+   */
+  async _write(url, writes) {
+    const storage = await this._getStorage(url);
+    const {_itemType: itemType} = this;
+    const lockName = _getLockName(url, itemType);
+    const {previous, values} = await withLock(lockName, async () => {
+      const stored = await Promise.all(
+        writes.map(({key}) => storage.getItem(key)));
+      // expired items are treated as if they do not exist
+      const previous = stored.map(_unlessExpired);
+      writes.forEach(({key, ifMatch}, i) =>
+        _assertRevisionMatches({key, value: previous[i], ifMatch}));
+      const values = await Promise.all(writes.map(async (
+        {key, item, expires}, i) => {
+        if(item === null) {
+          return null;
+        }
+        const record = _createRecord(item, previous[i], {expires});
+        return this._encrypt ?
+          _encryptRecord(record, {url, itemType, key}) : record;
+      }));
+      await this._checkQuota(url, writes.map(
+        ({key}, i) => ({key, value: values[i]})));
+
+      let applied = 0;
+      try {
+        for(const [i, {key}] of writes.entries()) {
+          if(values[i] === null) {
+            await storage.removeItem(key);
+          } else {
+            await storage.setItem(key, values[i]);
+          }
+          ++applied;
+        }
+      } catch(e) {
+        // also restore the write that failed, it may have been applied
+        const count = Math.min(applied + 1, writes.length);
+        await _rollback(storage, writes.slice(0, count), stored);
+        throw e;
+      }
+      await _updateIndex({url, itemType, writes});
+      return {previous, values};
+    });
+
+    if(values.some(value => value !== null)) {
+      await SimpleContainerService._addToHandlerIndex(url, this._itemType);
+    }
+    for(const [i, {key}] of writes.entries()) {
+      if(values[i] !== null) {
+        const {revision} = values[i];
+        await this._emitChange({type: 'set', handler: url, key, revision});
+      } else if(previous[i] !== null) {
+        await this._emitChange({type: 'delete', handler: url, key});
+      }
+    }
+    const revisions = values.map(value => value && value.revision);
+    return {previous, revisions};
+  }
+
+  /**
+   * Stops this instance from receiving and re-emitting changes made in other
+   * browsing contexts so that it can be garbage collected. Changes made via
+   * this instance are still propagated. This is a private method that may
+   * be called by a mediator once the instance is no longer needed.
+   */
+  _close() {
+    if(this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+  }
+
+  /**
+   * Emits a change event and propagates it to other browsing contexts.
+   *
+   * @param {object} event - The event (without an `itemType`).
+   *
+   * @returns {Promise} Resolves once the event has been emitted.
+   */
+  async _emitChange(event) {
+    event = {...event, itemType: this._itemType};
+    if(this._channel) {
+      this._channel.postMessage(event);
+    } else {
+      _broadcastChange(event);
+    }
+    try {
+      await this.emit(event);
+    } catch(e) {
+      // the change has already been made, so a failing listener must not
+      // make it appear to have failed
+      console.error(e);
+    }
+  }
+
   /**
    * Checks to make sure that the remote origin has the required permission.
    */
   async _checkPermission() {
-    // ensure origin has the required permission
-    const status = await this._permissionManager.query(
-      {name: this._requiredPermission});
-    if(status.state !== 'granted') {
+    // ensure origin has the required permission; the state is checked
+    // directly as a live PermissionStatus is not needed
+    const permissionDesc = {name: this._requiredPermission};
+    this._permissionManager._validatePermissionDescriptor(permissionDesc);
+    const state = await this._permissionManager._getState(permissionDesc);
+    if(state !== 'granted') {
       throw new Error('Permission denied.');
     }
   }
@@ -119,6 +611,81 @@ export class SimpleContainerService {
     });
   }
 
+  /**
+   * Gets the handler index for a type of item storage. This storage is used
+   * to track every handler (and its origin) that has stored items of that
+   * type.
+   *
+   * @param {string} itemType - The type of item storage.
+   *
+   * @returns {object} The handler index storage.
+   */
+  static _getHandlerIndex(itemType) {
+    return localforage.createInstance({
+      name: itemType + '_handler',
+      driver: localforage.driver()
+    });
+  }
+
+  /**
+   * Adds a handler to the handler index for a type of item storage.
+   *
+   * @param {string} url - The URL that identifies the handler.
+   * @param {string} itemType - The type of item storage.
+   *
+   * @returns {Promise} Resolves once the handler has been indexed.
+   */
+  static async _addToHandlerIndex(url, itemType) {
+    const index = SimpleContainerService._getHandlerIndex(itemType);
+    if(await index.getItem(url) === null) {
+      await index.setItem(url, utils.parseUrl(url, origin).origin);
+    }
+  }
+
+  /**
+   * Sets the item property paths to index for a type of item storage. Every
+   * browsing context that writes items of the type should set the same paths
+   * (for example, by passing the `indexes` option to the constructor) so
+   * that the indexes are kept up to date; an index is rebuilt when it is
+   * next used after its paths change or after it is written to by a context
+   * that has set other paths or none. Indexed values are not encrypted, so
+   * item types whose items are encrypted must not be indexed.
+   *
+   * @param {string} itemType - The type of item storage.
+   * @param {Array<string>} paths - The item property paths (e.g.
+   *   `'a.b'`) to index.
+   */
+  static _setIndexes(itemType, paths) {
+    if(!(Array.isArray(paths) &&
+      paths.every(path => path && typeof path === 'string'))) {
+      throw new TypeError('"indexes" must be an array of non-empty strings.');
+    }
+    if(paths.length === 0) {
+      _indexes.delete(itemType);
+    } else if(_encryptedTypes.has(itemType)) {
+      throw new TypeError(
+        `Items of type "${itemType}" are encrypted and so cannot be indexed; ` +
+        'indexed values are not encrypted.');
+    } else {
+      _indexes.set(itemType, [...new Set(paths)].sort());
+    }
+  }
+
+  /**
+   * Gets the index storage for a particular handler.
+   *
+   * @param {string} url - The URL for the handler.
+   * @param {string} itemType - The type of item storage.
+   *
+   * @returns {object} The index storage API.
+   */
+  static _getIndexStorage(url, itemType) {
+    return localforage.createInstance({
+      name: itemType + '_index_' + url,
+      driver: localforage.driver()
+    });
+  }
+
   /* eslint-disable jsdoc/require-description-complete-sentence */
   /**
    * Return all "item matches" for a handler that match according to a custom
@@ -134,38 +701,668 @@ export class SimpleContainerService {
    *   item: <item>
    * }
    *
+   * If `where` is given, only items that match it are passed to the match
+   * function. Indexed paths in `where` are looked up in the index, so only
+   * the items found there are read.
+   *
    * @param {string} url - The URL that identifies the handler to check.
    * @param {string} itemType - The type of item storage.
    * @param {Function} match - The custom matching function of the form:
    *   match({handler, key, item}).
+   * @param {object} [options] - The options to use.
+   * @param {object} [options.where] - An object mapping item property paths
+   *   to values, with the same semantics as the `filter` option of `query()`.
    *
    * @returns {Promise} Resolves to an array of "item match" objects
    *   according to the `match` function's return values.
    */
-  static async _match(url, itemType, match) {
+  static async _match(url, itemType, match, {where} = {}) {
+    if(where !== undefined && !(where && typeof where === 'object')) {
+      throw new TypeError('"where" must be an object.');
+    }
     const matches = [];
     const handler = url;
     const storage = SimpleContainerService._getStorage(url, itemType);
-    await storage.iterate((item, key) => {
+    const paths = _indexes.get(itemType) || [];
+    const indexed = Object.keys(where || {}).filter(p => paths.includes(p));
+    let items;
+    if(indexed.length > 0) {
+      const keys = await _lookupIndex({url, itemType, where, paths: indexed});
+      items = await _readItemsByKey(storage, url, itemType, keys);
+    } else {
+      items = await _readItems(storage, url, itemType);
+    }
+    for(const {key, item} of items) {
+      // index entries may be stale, so always check the item itself
+      if(where && !_matchesFilter(item, where)) {
+        continue;
+      }
       const result = match({handler, key, item});
       if(result) {
         matches.push(result);
       }
-    });
+    }
     return matches;
   }
   /* eslint-enable jsdoc/require-description-complete-sentence */
 
+  /**
+   * Re-encrypts the items for a handler that were encrypted with a key
+   * other than the current one, for example, after `encryption.rotateKey()`.
+   * Once every handler's items have been re-encrypted, the old key can be
+   * deleted. Unencrypted items are left as they are.
+   *
+   * @param {string} url - The URL that identifies the handler.
+   * @param {string} itemType - The type of item storage.
+   *
+   * @returns {Promise<number>} Resolves to the number of items that were
+   *   re-encrypted.
+   */
+  static async _reencrypt(url, itemType) {
+    const storage = SimpleContainerService._getStorage(url, itemType);
+    return withLock(_getLockName(url, itemType), async () => {
+      const encrypted = [];
+      await storage.iterate((value, key) => {
+        if(_toRecord(value).encrypted) {
+          encrypted.push({key, value});
+        }
+      });
+      let count = 0;
+      for(const {key, value} of encrypted) {
+        if(!await encryption.isStale(value.encrypted)) {
+          continue;
+        }
+        // the item itself is unchanged so its revision is kept
+        const record = await _readRecord(value, {url, itemType, key});
+        await storage.setItem(key, await _encryptRecord(
+          {type: RECORD_TYPE, ...record}, {url, itemType, key}));
+        ++count;
+      }
+      return count;
+    });
+  }
+
+  /**
+   * Removes expired items from a handler's storage.
+   *
+   * @param {string} url - The URL that identifies the handler.
+   * @param {string} itemType - The type of item storage.
+   *
+   * @returns {Promise<number>} Resolves to the number of items removed.
+   */
+  static async _sweep(url, itemType) {
+    const storage = SimpleContainerService._getStorage(url, itemType);
+    const keys = await withLock(_getLockName(url, itemType), async () => {
+      const keys = [];
+      await storage.iterate((value, key) => {
+        if(_unlessExpired(value) === null) {
+          keys.push(key);
+        }
+      });
+      for(const key of keys) {
+        await storage.removeItem(key);
+      }
+      await _updateIndex({
+        url, itemType, writes: keys.map(key => ({key, item: null}))
+      });
+      return keys;
+    });
+    for(const key of keys) {
+      _broadcastChange({type: 'delete', handler: url, itemType, key});
+    }
+    return keys.length;
+  }
+
+  /**
+   * Removes expired items from the storage of every handler that has stored
+   * items of a particular type.
+   *
+   * @param {string} itemType - The type of item storage.
+   *
+   * @returns {Promise<number>} Resolves to the number of items removed.
+   */
+  static async _sweepAll(itemType) {
+    const urls = await SimpleContainerService._getHandlerIndex(itemType).keys();
+    let count = 0;
+    for(const url of urls) {
+      count += await SimpleContainerService._sweep(url, itemType);
+    }
+    return count;
+  }
+
+  /**
+   * Exports the unexpired items for a handler, decrypting any encrypted
+   * items. This is a private method that may be called by a mediator to back
+   * up its state.
+   *
+   * @param {string} url - The URL that identifies the handler.
+   * @param {string} itemType - The type of item storage.
+   *
+   * @returns {Promise<Array<object>>} Resolves to an array of objects of the
+   *   form `{key, item, revision, updatedAt, expires, encrypted}` where
+   *   `expires` is only present if the item expires and `encrypted` is
+   *   `true` if the item was encrypted.
+   */
+  static async _exportItems(url, itemType) {
+    const storage = SimpleContainerService._getStorage(url, itemType);
+    const values = [];
+    await storage.iterate((value, key) => {
+      if(_unlessExpired(value) !== null) {
+        values.push({key, value});
+      }
+    });
+    return Promise.all(values.map(async ({key, value}) => {
+      const record = await _readRecord(value, {url, itemType, key});
+      const exported = {key, ...record};
+      if(_toRecord(value).encrypted) {
+        exported.encrypted = true;
+      }
+      return exported;
+    }));
+  }
+
+  /**
+   * Imports items, as exported by `_exportItems()`, for a handler. Existing
+   * items that differ from imported ones are reported as conflicts and kept.
+   * Items are imported as they are, without the key and item validation or
+   * quota of any `SimpleContainerService` for the item type, so they must
+   * come from a trusted source. This is a private method that may be called
+   * by a mediator to restore its state from a backup.
+   *
+   * @param {string} url - The URL that identifies the handler.
+   * @param {string} itemType - The type of item storage.
+   * @param {Array<object>} items - The items to import.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.dryRun=false] - `true` to only report what
+   *   would be imported.
+   *
+   * @returns {Promise<object>} Resolves to `{imported, conflicts}` where
+   *   `imported` is the number of items (to be) written and `conflicts` is
+   *   an array of the conflicting keys; rejects with a `NotSupportedError`,
+   *   even if `dryRun` is set, if any item is to be encrypted where
+   *   encryption is not supported.
+   */
+  static async _importItems(url, itemType, items, {dryRun = false} = {}) {
+    // fail before writing any item rather than partway through
+    utils.parseUrl(url, origin);
+    if(items.some(({encrypted}) => encrypted) && !encryption.isSupported()) {
+      throw new DOMException(
+        'Encrypted items cannot be imported without IndexedDB, which is ' +
+        'needed to store encryption keys.', 'NotSupportedError');
+    }
+    const storage = SimpleContainerService._getStorage(url, itemType);
+    const result = await withLock(_getLockName(url, itemType), async () => {
+      const writes = [];
+      const conflicts = [];
+      for(const {key, item, expires, encrypted, ...metadata} of items) {
+        const existing = _unlessExpired(await storage.getItem(key));
+        if(existing !== null) {
+          const record = await _readRecord(existing, {url, itemType, key});
+          if(JSON.stringify(record.item) === JSON.stringify(item)) {
+            continue;
+          }
+          conflicts.push(key);
+          continue;
+        }
+        // keep the imported revision so the item appears unchanged
+        const {revision = '0', updatedAt = null} = metadata;
+        const value = {type: RECORD_TYPE, revision, updatedAt, item};
+        if(expires !== undefined) {
+          value.expires = expires;
+        }
+        writes.push({key, item, encrypted, value});
+      }
+      if(dryRun) {
+        return {writes, conflicts};
+      }
+      for(const write of writes) {
+        const {key} = write;
+        const value = write.encrypted ?
+          await _encryptRecord(write.value, {url, itemType, key}) :
+          write.value;
+        await storage.setItem(key, value);
+      }
+      await _updateIndex({url, itemType, writes});
+      return {writes, conflicts};
+    });
+    const {writes, conflicts} = result;
+    if(!dryRun && writes.length > 0) {
+      await SimpleContainerService._addToHandlerIndex(url, itemType);
+      for(const {key, value: {revision}} of writes) {
+        _broadcastChange({type: 'set', handler: url, itemType, key, revision});
+      }
+    }
+    return {imported: writes.length, conflicts};
+  }
+
   /**
    * Destroys item storage for a handler.
    *
    * @param {string} url - The URL that identifies the handler.
    * @param {string} itemType - The type of item storage.
    *
-   * @returns {Promise} Resolves to the storage API.
+   * @returns {Promise} Resolves once the storage has been destroyed.
    */
   static async _destroy(url, itemType) {
-    // TODO: use _getStorage(url).dropInstance() instead (when available)
-    return SimpleContainerService._getStorage(url, itemType).clear();
+    await SimpleContainerService._getHandlerIndex(itemType).removeItem(url);
+    await dropInstance(SimpleContainerService._getStorage(url, itemType));
+    await dropInstance(SimpleContainerService._getIndexStorage(url, itemType));
+    _broadcastChange({type: 'clear', handler: url, itemType});
+  }
+}
+
+function _assertUniqueKeys(keys) {
+  if(!Array.isArray(keys)) {
+    throw new TypeError('"keys" must be an array.');
+  }
+  if(new Set(keys).size !== keys.length) {
+    throw new TypeError('Each key may only be given once.');
+  }
+}
+
+async function _rollback(storage, writes, previous) {
+  // restore previous values in reverse order
+  for(let i = writes.length - 1; i >= 0; --i) {
+    const {key} = writes[i];
+    try {
+      if(previous[i] === null) {
+        await storage.removeItem(key);
+      } else {
+        await storage.setItem(key, previous[i]);
+      }
+    } catch(e) {
+      console.error(e);
+    }
+  }
+}
+
+function _createRecord(item, previous, {expires} = {}) {
+  // the counter orders revisions while the random suffix ensures an item
+  // that is deleted and then set again does not reuse a revision
+  const count = previous === null ? 1 :
+    parseInt(_toRecord(previous).revision, 10) + 1;
+  const record = {
+    type: RECORD_TYPE,
+    revision: count + '-' + Math.random().toString(36).slice(2, 10),
+    updatedAt: Date.now(),
+    item
+  };
+  if(expires !== undefined) {
+    record.expires = expires;
+  }
+  return record;
+}
+
+function _toRecord(value) {
+  if(!(value && typeof value === 'object' && value.type === RECORD_TYPE)) {
+    // item stored before records were introduced
+    return {item: value, revision: '0', updatedAt: null};
+  }
+  const record = {...value};
+  delete record.type;
+  return record;
+}
+
+async function _readRecord(value, {url, itemType, key}) {
+  const {encrypted, ...record} = _toRecord(value);
+  if(encrypted) {
+    record.item = await encryption.decrypt(encrypted, {
+      additionalData: _getAdditionalData({url, itemType, key})
+    });
+  }
+  return record;
+}
+
+function _unlessExpired(value) {
+  if(value === null) {
+    return null;
+  }
+  const {expires} = _toRecord(value);
+  return typeof expires === 'number' && expires <= Date.now() ? null : value;
+}
+
+async function _readItems(storage, url, itemType) {
+  // `iterate()` does not wait for async callbacks, so decrypt afterwards
+  const values = [];
+  await storage.iterate((value, key) => {
+    if(_unlessExpired(value) !== null) {
+      values.push({key, value});
+    }
+  });
+  return Promise.all(values.map(async ({key, value}) => {
+    const {item} = await _readRecord(value, {url, itemType, key});
+    return {key, item};
+  }));
+}
+
+async function _readItemsByKey(storage, url, itemType, keys) {
+  const items = await Promise.all(keys.map(async key => {
+    const value = _unlessExpired(await storage.getItem(key));
+    if(value === null) {
+      return null;
+    }
+    const {item} = await _readRecord(value, {url, itemType, key});
+    return {key, item};
+  }));
+  return items.filter(item => item !== null);
+}
+
+async function _encryptRecord(record, {url, itemType, key}) {
+  const {item, ...rest} = record;
+  return {
+    ...rest,
+    encrypted: await encryption.encrypt(item, {
+      additionalData: _getAdditionalData({url, itemType, key})
+    })
+  };
+}
+
+function _getAdditionalData({url, itemType, key}) {
+  // binds each encrypted item to its location so that it cannot be moved to
+  // another handler or key
+  return JSON.stringify([itemType, url, key]);
+}
+
+async function _lookupIndex({url, itemType, where, paths}) {
+  const index = await _getIndex(url, itemType);
+  let keys = null;
+  for(const path of paths) {
+    const found = await index.getItem(
+      _getIndexEntryKey(path, where[path])) || [];
+    keys = keys ? keys.filter(key => found.includes(key)) : found;
+  }
+  return keys.sort();
+}
+
+async function _getIndex(url, itemType) {
+  const paths = _indexes.get(itemType);
+  const index = SimpleContainerService._getIndexStorage(url, itemType);
+  if(_isSamePaths(await index.getItem(INDEX_PATHS_KEY), paths)) {
+    return index;
+  }
+  return withLock(_getLockName(url, itemType), async () => {
+    // another context may have rebuilt the index while waiting
+    if(_isSamePaths(await index.getItem(INDEX_PATHS_KEY), paths)) {
+      return index;
+    }
+    await index.clear();
+    const storage = SimpleContainerService._getStorage(url, itemType);
+    for(const {key, item} of await _readItems(storage, url, itemType)) {
+      await _indexItem({index, paths, key, item});
+    }
+    // mark the index as usable only once it is complete
+    await index.setItem(INDEX_PATHS_KEY, paths);
+    return index;
+  });
+}
+
+async function _updateIndex({url, itemType, writes}) {
+  const paths = _indexes.get(itemType);
+  const index = SimpleContainerService._getIndexStorage(url, itemType);
+  try {
+    if(!(paths &&
+      _isSamePaths(await index.getItem(INDEX_PATHS_KEY), paths))) {
+      // any stored index may cover paths other than those known here, so
+      // rebuild it when it is next used rather than leave it missing writes
+      await index.removeItem(INDEX_PATHS_KEY);
+      return;
+    }
+    for(const {key, item} of writes) {
+      await _unindexItem({index, key});
+      if(item !== null) {
+        await _indexItem({index, paths, key, item});
+      }
+    }
+  } catch(e) {
+    // the items were written, so rebuild the index when it is next used
+    // rather than fail
+    console.error(e);
+    await index.removeItem(INDEX_PATHS_KEY).catch(e => console.error(e));
+  }
+}
+
+async function _indexItem({index, paths, key, item}) {
+  // each item has a reverse entry listing its index entries so they can be
+  // removed without reading (and decrypting) the previous item
+  const entryKeys = [];
+  for(const path of paths) {
+    const value = _getProperty(item, path);
+    if(value === undefined) {
+      continue;
+    }
+    // arrays are indexed by each element as well as by the whole array
+    const values = Array.isArray(value) ? [value, ...value] : [value];
+    for(const v of values) {
+      const entryKey = _getIndexEntryKey(path, v);
+      if(entryKeys.includes(entryKey)) {
+        continue;
+      }
+      entryKeys.push(entryKey);
+      const keys = await index.getItem(entryKey) || [];
+      if(!keys.includes(key)) {
+        keys.push(key);
+        await index.setItem(entryKey, keys);
+      }
+    }
+  }
+  if(entryKeys.length > 0) {
+    await index.setItem(_getIndexItemKey(key), entryKeys);
+  }
+}
+
+async function _unindexItem({index, key}) {
+  const itemKey = _getIndexItemKey(key);
+  const entryKeys = await index.getItem(itemKey);
+  if(!entryKeys) {
+    return;
+  }
+  for(const entryKey of entryKeys) {
+    const keys = (await index.getItem(entryKey) || []).filter(k => k !== key);
+    if(keys.length > 0) {
+      await index.setItem(entryKey, keys);
+    } else {
+      await index.removeItem(entryKey);
+    }
+  }
+  await index.removeItem(itemKey);
+}
+
+async function _clearIndex(url, itemType) {
+  // the index may have been built in another context, so clear it even if
+  // no paths are set in this one
+  await SimpleContainerService._getIndexStorage(url, itemType).clear();
+}
+
+function _isSamePaths(paths1, paths2) {
+  return JSON.stringify(paths1) === JSON.stringify(paths2);
+}
+
+function _getIndexEntryKey(path, value) {
+  return 'entry:' + JSON.stringify([path, value]);
+}
+
+function _getIndexItemKey(key) {
+  return 'item:' + key;
+}
+
+function _getLockName(url, itemType) {
+  return `container_${itemType}_${url}`;
+}
+
+function _assertRevisionMatches({key, value, ifMatch}) {
+  if(ifMatch === undefined) {
+    return;
+  }
+  if(!(ifMatch === null || typeof ifMatch === 'string')) {
+    throw new TypeError('"ifMatch" must be a string or null.');
+  }
+  const revision = value === null ? null : _toRecord(value).revision;
+  if(revision !== ifMatch) {
+    const error = new DOMException(
+      `The item "${key}" has been changed.`, 'InvalidStateError');
+    error.details = {key, revision, ifMatch};
+    throw error;
   }
 }
+
+function _createChannel(itemType, onChange) {
+  return createChannel(_getChannelName(itemType), data => {
+    if(data && ['set', 'delete', 'clear'].includes(data.type) &&
+      data.itemType === itemType) {
+      onChange(data);
+    }
+  });
+}
+
+function _broadcastChange(event) {
+  broadcast(_getChannelName(event.itemType), event);
+}
+
+function _getChannelName(itemType) {
+  return 'container_' + itemType;
+}
+
+function _createValidator({schema, validate, name}) {
+  if(schema !== undefined && !(schema && typeof schema === 'object')) {
+    throw new TypeError(`"${name}Schema" must be an object.`);
+  }
+  const fnName = 'validate' + name[0].toUpperCase() + name.slice(1);
+  if(validate !== undefined && typeof validate !== 'function') {
+    throw new TypeError(`"${fnName}" must be a function.`);
+  }
+  if(!(schema || validate)) {
+    return () => {
+      throw new Error('Not implemented.');
+    };
+  }
+  return value => {
+    if(schema) {
+      assertValid(schema, value, {name});
+    }
+    if(validate) {
+      validate(value);
+    }
+  };
+}
+
+function _normalizeQuota({handler = {}, origin = {}} = {}) {
+  return {
+    handler: _normalizeLimits(handler, 'quota.handler'),
+    origin: _normalizeLimits(origin, 'quota.origin')
+  };
+}
+
+function _normalizeLimits(
+  {maxItems = Infinity, maxBytes = Infinity} = {}, name) {
+  if(!(maxItems === Infinity || (Number.isInteger(maxItems) &&
+    maxItems >= 0))) {
+    throw new TypeError(
+      `"${name}.maxItems" must be a non-negative integer.`);
+  }
+  if(!(maxBytes === Infinity || (Number.isInteger(maxBytes) &&
+    maxBytes >= 0))) {
+    throw new TypeError(
+      `"${name}.maxBytes" must be a non-negative integer.`);
+  }
+  return {maxItems, maxBytes};
+}
+
+function _isUnlimited({maxItems, maxBytes}) {
+  return maxItems === Infinity && maxBytes === Infinity;
+}
+
+function _assertWithinQuota({current, usage, quota, name}) {
+  // writes that do not increase usage are always allowed so that storage
+  // that is already over quota (e.g. after lowering it) can be reduced
+  if((usage.items > quota.maxItems && usage.items > current.items) ||
+    (usage.bytes > quota.maxBytes && usage.bytes > current.bytes)) {
+    const error = new DOMException(
+      `The ${name} storage quota has been exceeded.`, 'QuotaExceededError');
+    error.details = {usage, quota};
+    throw error;
+  }
+}
+
+async function _getSizes(storage) {
+  const sizes = new Map();
+  await storage.iterate((value, key) => {
+    // expired items are not counted as they are due to be removed
+    if(_unlessExpired(value) !== null) {
+      sizes.set(key, _getSize(key, value));
+    }
+  });
+  return sizes;
+}
+
+function _sumSizes(sizes) {
+  let bytes = 0;
+  for(const size of sizes.values()) {
+    bytes += size;
+  }
+  return {items: sizes.size, bytes};
+}
+
+function _getSize(key, value) {
+  // the number of bytes needed to store the key and serialized (or
+  // encrypted) item; record metadata is not counted against a handler's
+  // quota
+  const {item, encrypted} = _toRecord(value);
+  const encoder = new TextEncoder();
+  return encoder.encode(key).length + encoder.encode(
+    encrypted ? encrypted.ciphertext : JSON.stringify(item)).length;
+}
+
+function _matchesFilter(item, filter) {
+  for(const path in filter) {
+    const value = _getProperty(item, path);
+    const expected = JSON.stringify(filter[path]);
+    if(!(JSON.stringify(value) === expected || (Array.isArray(value) &&
+      value.some(v => JSON.stringify(v) === expected)))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function _getProperty(item, path) {
+  let value = item;
+  for(const property of path.split('.')) {
+    if(!(value && typeof value === 'object')) {
+      return undefined;
+    }
+    value = value[property];
+  }
+  return value;
+}
+
+function _compareValues(a, b) {
+  // `undefined` sorts last; otherwise compare values of the same type
+  // directly and values of different types by type name
+  if(a === b) {
+    return 0;
+  }
+  if(a === undefined) {
+    return 1;
+  }
+  if(b === undefined) {
+    return -1;
+  }
+  if(typeof a !== typeof b) {
+    return typeof a < typeof b ? -1 : 1;
+  }
+  if(typeof a === 'object') {
+    a = JSON.stringify(a);
+    b = JSON.stringify(b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function _parseCursor(cursor) {
+  try {
+    const position = JSON.parse(cursor);
+    if(position && typeof position.key === 'string') {
+      return position;
+    }
+  } catch(e) {}
+  throw new TypeError('"cursor" is invalid.');
+}
@@ -1,18 +1,91 @@
 /*!
  * Copyright (c) 2017-2024 Digital Bazaar, Inc. All rights reserved.
  */
+import * as auditLog from './auditLog.js';
+import localforage, {dropInstance} from './storage.js';
+import {assertValid} from './schema.js';
+import {collectGarbage} from './garbageCollection.js';
 import {EventEmitter} from 'web-request-rpc';
-import localforage from './storage.js';
 import {utils} from 'web-request-rpc';
+import {withLock} from './locks.js';
 
-/* Web Request handlers are tracked by request type. */
-export class WebRequestHandlersService extends EventEmitter {
-  constructor(relyingOrigin, {/*requestType, */permissionManager} = {}) {
-    super({
-      async waitUntil(e) {
-        return e._promise;
+// registration options are given by the relying origin and stored in
+// mediator storage, which may be cookies, so their size is bounded
+const OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: {type: 'string', maxLength: 256},
+    icons: {
+      type: 'array',
+      maxItems: 8,
+      items: {
+        type: 'object',
+        required: ['src'],
+        additionalProperties: false,
+        properties: {
+          src: {type: 'string', minLength: 1, maxLength: 2048},
+          sizes: {type: 'string', maxLength: 64},
+          type: {type: 'string', maxLength: 128}
+        }
       }
-    });
+    },
+    enabledTypes: {
+      type: 'array',
+      maxItems: 32,
+      items: {type: 'string', maxLength: 256}
+    }
+  }
+};
+
+// kinds of failure a mediator may report for a handler
+const FAILURE_REASONS = ['timeout', 'loadError', 'invalidResponse'];
+// default consecutive failures after which a handler is degraded or disabled
+const DEFAULT_DEGRADED_THRESHOLD = 3;
+const DEFAULT_DISABLED_THRESHOLD = 10;
+
+// consecutive failures after which a handler is degraded or disabled, see
+// `_setHealthThresholds()`
+let _healthThresholds = {
+  degraded: DEFAULT_DEGRADED_THRESHOLD,
+  disabled: DEFAULT_DISABLED_THRESHOLD
+};
+
+// event => promises passed to the event's `waitUntil()`
+const _eventPromises = new WeakMap();
+
+// emits events for registrations made by any instance or by the mediator
+// (via `_setRegistration()`) to listeners added via `_addEventListener()`
+const _emitter = new EventEmitter({waitUntil: _waitForAll});
+
+/* Web Request handlers are tracked by request type. Each registration is
+stored as a record of the form:
+
+{
+  url: <handler URL>,
+  name: <display name, if given>,
+  icons: <array of `{src, sizes, type}` icons>,
+  enabledTypes: <array of enabled sub-types of the request type>,
+  registered: <ms since epoch, or `null` for older registrations>,
+  registeringOrigin: <origin that registered the handler, or `null`>
+}
+
+Cancelable `beforeregister` and `beforeunregister` events are emitted before
+a handler is registered or unregistered; calling `preventDefault()` on
+either rejects the operation with a `NotAllowedError`. Then `register` and
+`unregister` events are emitted. Every event has a `waitUntil(promise)`
+method; the operation waits for all such promises and rejects if any of them
+do.
+
+If the `garbageCollection` option is given, it is passed to
+`collectGarbage()` after each handler is unregistered so that storage
+orphaned by the unregistration, such as the handler's containers, is
+removed. */
+export class WebRequestHandlersService extends EventEmitter {
+  constructor(relyingOrigin, {
+    /*requestType, */permissionManager, garbageCollection
+  } = {}) {
+    super({waitUntil: _waitForAll});
 
     if(!(relyingOrigin && (typeof relyingOrigin === 'string' ||
       relyingOrigin.then))) {
@@ -24,27 +97,42 @@ export class WebRequestHandlersService extends EventEmitter {
 
     // manage permissions for the relying origin
     this._permissionManager = permissionManager;
+
+    // options for `collectGarbage()` to run after each unregistration, if any
+    if(garbageCollection !== undefined &&
+      !(garbageCollection && typeof garbageCollection === 'object')) {
+      throw new TypeError('"garbageCollection" must be an object.');
+    }
+    this._garbageCollection = garbageCollection;
   }
 
   /**
-   * Creates a handler registration.
+   * Creates a handler registration or, if the handler is already registered,
+   * updates whichever of its name, icons, and enabled types are given.
    *
    * @param {string} requestType - The type of request handled by the handler.
    * @param {string} url - The unique URL for the handler.
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.name] - The name to display for the handler.
+   * @param {Array<object>} [options.icons] - Icons to display for the
+   *   handler, each of the form `{src, sizes, type}` where `src` may be
+   *   relative to the handler URL and must be an `https:`, `data:image/`,
+   *   or same-origin URL.
+   * @param {Array<string>} [options.enabledTypes] - The sub-types of the
+   *   request type that the handler handles.
    *
    * @returns {Promise} Resolves to the normalized URL for the handler.
    */
-  async register(requestType, url) {
-    url = _normalizeUrl(url, await this._relyingOrigin);
-
-    // return existing registration
-    const existing = await this.getRegistration(requestType, url);
-    if(existing) {
-      return existing;
-    }
+  async register(requestType, url, options = {}) {
+    const relyingOrigin = await this._relyingOrigin;
+    url = _normalizeUrl(url, relyingOrigin);
+    assertValid(OPTIONS_SCHEMA, options, {name: 'options'});
 
     // safe to call this once `_normalizeUrl` has sanitized the url
-    return WebRequestHandlersService._setRegistration(requestType, url);
+    return _register({
+      requestType, url, options, actor: relyingOrigin,
+      registeringOrigin: relyingOrigin, emitters: [this, _emitter]
+    });
   }
 
   /**
@@ -61,25 +149,35 @@ export class WebRequestHandlersService extends EventEmitter {
     url = _normalizeUrl(url, relyingOrigin);
 
     // find target registration
-    const registration = await this.getRegistration(requestType, url);
-    if(!registration) {
+    if(!await this.hasRegistration(requestType, url)) {
       return false;
     }
 
+    // let extensions veto unregistration
+    const emitters = [this, _emitter];
+    await _dispatch(_createEvent(
+      'beforeunregister', {requestType, registration: url},
+      {cancelable: true}), emitters);
+
     // emit `unregister` so extensions can handle registration destruction
-    const event = {
-      type: 'unregister',
-      requestType,
-      registration: url,
-      waitUntil(promise) {
-        event._promise = promise;
-      }
-    };
-    await this.emit(event);
+    await _dispatch(
+      _createEvent('unregister', {requestType, registration: url}), emitters);
+
+    // remove handler and, if it was the origin's last, the origin
+    await _removeRegistration(requestType, url);
+    await _logRegistration({
+      actor: relyingOrigin, action: 'unregister', requestType,
+      handlerUrl: url
+    });
 
-    // remove handler
-    await WebRequestHandlersService._getHandlerStorage(
-      requestType, relyingOrigin).removeItem(registration);
+    if(this._garbageCollection) {
+      try {
+        await collectGarbage(this._garbageCollection);
+      } catch(e) {
+        // the handler has been unregistered regardless
+        console.error(e);
+      }
+    }
     return true;
   }
 
@@ -89,15 +187,15 @@ export class WebRequestHandlersService extends EventEmitter {
    * @param {string} requestType - The type of request handled by the handler.
    * @param {string} url - The URL for the handler.
    *
-   * @returns {Promise} Resolves to the normalized URL for the handler or
-   *   `null` if no such registration exists.
+   * @returns {Promise} Resolves to the registration record for the handler
+   *   or `null` if no such registration exists.
    */
   async getRegistration(requestType, url) {
-    url = _normalizeUrl(url, await this._relyingOrigin);
-    if(!await this.hasRegistration(requestType, url)) {
-      return null;
-    }
-    return url;
+    const relyingOrigin = await this._relyingOrigin;
+    url = _normalizeUrl(url, relyingOrigin);
+    const value = await WebRequestHandlersService._getHandlerStorage(
+      requestType, relyingOrigin).getItem(url);
+    return _toRecord(value, url);
   }
 
   /**
@@ -113,8 +211,8 @@ export class WebRequestHandlersService extends EventEmitter {
   async hasRegistration(requestType, url) {
     const relyingOrigin = await this._relyingOrigin;
     url = _normalizeUrl(url, relyingOrigin);
-    return await WebRequestHandlersService._getHandlerStorage(
-      requestType, relyingOrigin).getItem(url) === true;
+    return _toRecord(await WebRequestHandlersService._getHandlerStorage(
+      requestType, relyingOrigin).getItem(url), url) !== null;
   }
 
   /**
@@ -145,33 +243,371 @@ export class WebRequestHandlersService extends EventEmitter {
   }
 
   /**
-   * Return all handler URLs for a specific request type.
+   * Return all handler registrations for a specific request type.
    *
    * @param {string} requestType - The request type.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.includeDisabled=false] - `true` to include
+   *   handlers that have been disabled after failing repeatedly.
    *
-   * @returns {Promise} Resolves to all registered handler URLs for the given
-   *   request type.
+   * @returns {Promise<Array<object>>} Resolves to an array of objects of the
+   *   form `{origin, registrations}`, one for each origin with registered
+   *   handlers for the given request type, where `registrations` is an array
+   *   of registration records.
    */
-  static async _getAllRegistrations(requestType) {
+  static async _getAllRegistrations(
+    requestType, {includeDisabled = false} = {}) {
+    const disabled = new Set();
+    if(!includeDisabled) {
+      await WebRequestHandlersService._getHealthStorage(requestType).iterate(
+        ({state}, url) => {
+          if(state === 'disabled') {
+            disabled.add(url);
+          }
+        });
+    }
+
     // asynchronously get a list of promises where each will resolve to the
-    // registered handler URLs for a particular origin
-    const registrations = [];
+    // registrations for a particular origin
     const promises = [];
     const originStorage = WebRequestHandlersService._getOriginStorage(
       requestType);
-    await originStorage.iterate(databaseConfig => {
-      // get origin's request handler URLs
+    await originStorage.iterate((databaseConfig, origin) => {
+      // get origin's request handler registrations
       const storage = localforage.createInstance(databaseConfig);
-      const urls = [];
+      const registrations = [];
       promises.push(storage.iterate((value, url) => {
-        urls.push(url);
-      }).then(() => {
-        // append all registrations for the origin to `registrations`
-        registrations.push(...urls);
-      }));
+        const record = _toRecord(value, url);
+        if(record && !disabled.has(url)) {
+          registrations.push(record);
+        }
+      }).then(() => ({origin, registrations})));
+    });
+    const origins = await Promise.all(promises);
+    return origins.filter(({registrations}) => registrations.length > 0);
+  }
+
+  /**
+   * Gets usage storage. This storage is used to track how often and how
+   * recently each handler for a particular request type has been used.
+   *
+   * @param {string} requestType - The request type to get the storage for.
+   *
+   * @returns {object} The usage storage.
+   */
+  static _getUsageStorage(requestType) {
+    return localforage.createInstance(_getUsageStorageConfig(requestType));
+  }
+
+  /**
+   * Records that a handler was used to handle a request from a relying
+   * origin. This is a private method that should be called by a mediator
+   * whenever the user chooses a handler.
+   *
+   * @param {string} requestType - The type of request handled by the handler.
+   * @param {string} url - The URL for the handler.
+   * @param {object} options - The options to use.
+   * @param {string} options.relyingOrigin - The origin that made the request.
+   *
+   * @returns {Promise<object>} Resolves to the handler's updated usage of the
+   *   form `{count, lastUsed, origins}` where `origins` maps each relying
+   *   origin to `{count, lastUsed}`.
+   */
+  static async _recordUsage(requestType, url, {relyingOrigin} = {}) {
+    if(typeof relyingOrigin !== 'string') {
+      throw new TypeError('"relyingOrigin" must be a string.');
+    }
+    const handlerUrl = _getHandlerUrl(url);
+    if(!await _getRecord(requestType, handlerUrl)) {
+      throw new DOMException(
+        `Handler "${handlerUrl}" is not registered.`, 'NotFoundError');
+    }
+
+    return withLock(_getUsageLockName(requestType), async () => {
+      const storage = WebRequestHandlersService._getUsageStorage(requestType);
+      const usage = await storage.getItem(handlerUrl) ||
+        {count: 0, lastUsed: null, origins: {}};
+      const now = Date.now();
+      const originUsage = usage.origins[relyingOrigin] ||
+        {count: 0, lastUsed: null};
+      usage.origins[relyingOrigin] = {
+        count: originUsage.count + 1, lastUsed: now
+      };
+      usage.count++;
+      usage.lastUsed = now;
+      await storage.setItem(handlerUrl, usage);
+      return usage;
+    });
+  }
+
+  /**
+   * Returns all handler registrations for a specific request type along with
+   * their usage, most relevant first. Handlers most recently used by the
+   * given relying origin come first, followed by those most recently used
+   * by any origin, and then those never used (whose `count` is `0`), which
+   * a mediator may offer to remove. This is a private method that may be
+   * called by a mediator to present handlers to the user.
+   *
+   * @param {string} requestType - The request type.
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.relyingOrigin] - The origin that made the
+   *   request the handlers are presented for.
+   *
+   * @returns {Promise<Array<object>>} Resolves to an array of objects of the
+   *   form `{origin, registration, usage}` where `registration` is the
+   *   registration record and `usage` is of the form
+   *   `{count, lastUsed, origins}`.
+   */
+  static async _getRankedRegistrations(requestType, {relyingOrigin} = {}) {
+    const origins = await WebRequestHandlersService._getAllRegistrations(
+      requestType);
+    const storage = WebRequestHandlersService._getUsageStorage(requestType);
+    const ranked = [];
+    for(const {origin, registrations} of origins) {
+      for(const registration of registrations) {
+        const usage = await storage.getItem(registration.url) ||
+          {count: 0, lastUsed: null, origins: {}};
+        ranked.push({origin, registration, usage});
+      }
+    }
+    return ranked.sort((a, b) => _compareUsage(a, b, relyingOrigin));
+  }
+
+  /**
+   * Gets preference storage. This storage is used to track the handler, if
+   * any, that the user has chosen to always use for requests of a particular
+   * type from each relying origin.
+   *
+   * @param {string} requestType - The request type to get the storage for.
+   *
+   * @returns {object} The preference storage.
+   */
+  static _getPreferenceStorage(requestType) {
+    return localforage.createInstance(
+      _getPreferenceStorageConfig(requestType));
+  }
+
+  /**
+   * Gets the handler the user has chosen to always use for requests of a
+   * particular type from a relying origin. This is a private method that may
+   * be called by a mediator to skip asking the user to choose a handler.
+   *
+   * @param {string} requestType - The request type.
+   * @param {string} relyingOrigin - The origin that made the request.
+   *
+   * @returns {Promise<string>} Resolves to the URL of the preferred handler
+   *   or `null` if there is none or it has been disabled.
+   */
+  static async _getPreferredHandler(requestType, relyingOrigin) {
+    const preference = await WebRequestHandlersService._getPreferenceStorage(
+      requestType).getItem(relyingOrigin);
+    if(!preference) {
+      return null;
+    }
+    // the handler may have been unregistered while it was being preferred
+    if(!await _getRecord(requestType, preference.handler)) {
+      return null;
+    }
+    // let the user choose another handler while the preferred one is
+    // disabled; the preference applies again once it is re-enabled
+    const {state} = await WebRequestHandlersService._getHealth(
+      requestType, preference.handler);
+    return state === 'disabled' ? null : preference.handler;
+  }
+
+  /**
+   * Sets the handler to always use for requests of a particular type from a
+   * relying origin. This is a private method that should be called by a
+   * mediator when the user asks for their choice of handler to be
+   * remembered.
+   *
+   * @param {string} requestType - The request type.
+   * @param {string} relyingOrigin - The origin that made the request.
+   * @param {string} url - The URL for the handler.
+   *
+   * @returns {Promise<string>} Resolves to the normalized URL for the
+   *   handler.
+   */
+  static async _setPreferredHandler(requestType, relyingOrigin, url) {
+    if(typeof relyingOrigin !== 'string') {
+      throw new TypeError('"relyingOrigin" must be a string.');
+    }
+    const handlerUrl = _getHandlerUrl(url);
+    if(!await _getRecord(requestType, handlerUrl)) {
+      throw new DOMException(
+        `Handler "${handlerUrl}" is not registered.`, 'NotFoundError');
+    }
+    await WebRequestHandlersService._getPreferenceStorage(requestType).setItem(
+      relyingOrigin, {handler: handlerUrl, created: Date.now()});
+    return handlerUrl;
+  }
+
+  /**
+   * Clears the handler to always use for requests of a particular type from
+   * a relying origin so that the user is asked to choose a handler again.
+   * This is a private method that may be called by a mediator.
+   *
+   * @param {string} requestType - The request type.
+   * @param {string} relyingOrigin - The origin that made the request.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if there was a preferred
+   *   handler and `false` if not.
+   */
+  static async _clearPreferredHandler(requestType, relyingOrigin) {
+    const storage = WebRequestHandlersService._getPreferenceStorage(
+      requestType);
+    if(await storage.getItem(relyingOrigin) === null) {
+      return false;
+    }
+    await storage.removeItem(relyingOrigin);
+    return true;
+  }
+
+  /**
+   * Gets health storage. This storage is used to track failures of the
+   * handlers for a particular request type.
+   *
+   * @param {string} requestType - The request type to get the storage for.
+   *
+   * @returns {object} The health storage.
+   */
+  static _getHealthStorage(requestType) {
+    return localforage.createInstance(_getHealthStorageConfig(requestType));
+  }
+
+  /**
+   * Gets the health of a handler. A handler is `degraded` after 3
+   * consecutive failures and `disabled`, and no longer returned by
+   * `_getAllRegistrations()` by default, after 10, unless other thresholds
+   * are set via `_setHealthThresholds()`. This is a private method that may
+   * be called by a mediator to warn the user about unreliable handlers.
+   *
+   * @param {string} requestType - The type of request handled by the handler.
+   * @param {string} url - The URL for the handler.
+   *
+   * @returns {Promise<object>} Resolves to the handler's health of the form
+   *   `{state, failures, lastFailure}` where `state` is `healthy`,
+   *   `degraded`, or `disabled`, `failures` is the number of consecutive
+   *   failures, and `lastFailure` is `{reason, time}` or `null`.
+   */
+  static async _getHealth(requestType, url) {
+    const handlerUrl = _getHandlerUrl(url);
+    return await WebRequestHandlersService._getHealthStorage(
+      requestType).getItem(handlerUrl) || _createHealth();
+  }
+
+  /**
+   * Sets the number of consecutive failures after which handlers are marked
+   * `degraded` and `disabled`. The thresholds apply to failures reported
+   * from then on. This is a private method that may be called by a mediator
+   * when it starts.
+   *
+   * @param {object} thresholds - The thresholds.
+   * @param {number} [thresholds.degraded=3] - The failures after which a
+   *   handler is degraded.
+   * @param {number} [thresholds.disabled=10] - The failures after which a
+   *   handler is disabled.
+   */
+  static _setHealthThresholds({
+    degraded = DEFAULT_DEGRADED_THRESHOLD,
+    disabled = DEFAULT_DISABLED_THRESHOLD
+  } = {}) {
+    if(!(Number.isInteger(degraded) && degraded > 0 &&
+      Number.isInteger(disabled) && disabled >= degraded)) {
+      throw new TypeError(
+        '"degraded" must be a positive integer and "disabled" an integer ' +
+        'no less than "degraded".');
+    }
+    _healthThresholds = {degraded, disabled};
+  }
+
+  /**
+   * Records that a handler failed to handle a request. This is a private
+   * method that should be called by a mediator whenever a handler times
+   * out, fails to load, or responds with a malformed response.
+   *
+   * @param {string} requestType - The type of request handled by the handler.
+   * @param {string} url - The URL for the handler.
+   * @param {object} options - The options to use.
+   * @param {string} options.reason - The kind of failure: `timeout`,
+   *   `loadError`, or `invalidResponse`.
+   *
+   * @returns {Promise<object>} Resolves to the handler's updated health, as
+   *   returned from `_getHealth()`.
+   */
+  static async _reportFailure(requestType, url, {reason} = {}) {
+    if(!FAILURE_REASONS.includes(reason)) {
+      throw new TypeError(
+        `"reason" must be one of: ${FAILURE_REASONS.join(', ')}.`);
+    }
+    const handlerUrl = _getHandlerUrl(url);
+    if(!await _getRecord(requestType, handlerUrl)) {
+      throw new DOMException(
+        `Handler "${handlerUrl}" is not registered.`, 'NotFoundError');
+    }
+
+    return withLock(_getHealthLockName(requestType), async () => {
+      const storage = WebRequestHandlersService._getHealthStorage(
+        requestType);
+      const health = await storage.getItem(handlerUrl) || _createHealth();
+      health.failures++;
+      health.lastFailure = {reason, time: Date.now()};
+      if(health.failures >= _healthThresholds.disabled) {
+        health.state = 'disabled';
+      } else if(health.failures >= _healthThresholds.degraded) {
+        health.state = 'degraded';
+      }
+      await storage.setItem(handlerUrl, health);
+      return health;
+    });
+  }
+
+  /**
+   * Records that a handler successfully handled a request, resetting its
+   * consecutive failures unless it has been disabled. This is a private
+   * method that should be called by a mediator whenever a handler responds.
+   *
+   * @param {string} requestType - The type of request handled by the handler.
+   * @param {string} url - The URL for the handler.
+   *
+   * @returns {Promise<object>} Resolves to the handler's updated health, as
+   *   returned from `_getHealth()`.
+   */
+  static async _reportSuccess(requestType, url) {
+    const handlerUrl = _getHandlerUrl(url);
+    return withLock(_getHealthLockName(requestType), async () => {
+      const storage = WebRequestHandlersService._getHealthStorage(
+        requestType);
+      const health = await storage.getItem(handlerUrl);
+      // only the user may re-enable a disabled handler
+      if(!health || health.state === 'disabled') {
+        return health || _createHealth();
+      }
+      await storage.removeItem(handlerUrl);
+      return _createHealth();
+    });
+  }
+
+  /**
+   * Re-enables a handler that was disabled after failing repeatedly,
+   * resetting its health. This is a private method that should be called by
+   * a mediator when the user asks for a disabled handler to be enabled.
+   *
+   * @param {string} requestType - The type of request handled by the handler.
+   * @param {string} url - The URL for the handler.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the handler was
+   *   disabled and `false` if not.
+   */
+  static async _enableRegistration(requestType, url) {
+    const handlerUrl = _getHandlerUrl(url);
+    return withLock(_getHealthLockName(requestType), async () => {
+      const storage = WebRequestHandlersService._getHealthStorage(
+        requestType);
+      const health = await storage.getItem(handlerUrl);
+      await storage.removeItem(handlerUrl);
+      return !!health && health.state === 'disabled';
     });
-    await Promise.all(promises);
-    return registrations;
   }
 
   /**
@@ -181,13 +617,387 @@ export class WebRequestHandlersService extends EventEmitter {
    *
    * @param {string} requestType - The type of request handled by the handler.
    * @param {string} url - The unique URL for the handler.
+   * @param {object} [options] - The options to use, as for `register()`.
    *
    * @returns {Promise} Resolves to the normalized URL for the handler.
    */
-  static async _setRegistration(requestType, url) {
-    const parsed = utils.parseUrl(url, origin);
-    const handlerUrl = parsed.origin + parsed.pathname;
+  static async _setRegistration(requestType, url, options = {}) {
+    assertValid(OPTIONS_SCHEMA, options, {name: 'options'});
+    return _register({
+      requestType, url, options, actor: 'mediator', registeringOrigin: origin,
+      emitters: [_emitter]
+    });
+  }
 
+  /**
+   * Adds a listener for the events emitted for every registration,
+   * including those made via `_setRegistration()`, regardless of which
+   * instance (if any) made them. This is a private method that may be called
+   * by a mediator or its extensions.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} fn - The listener.
+   */
+  static _addEventListener(type, fn) {
+    _emitter.addEventListener(type, fn);
+  }
+
+  /**
+   * Removes a listener added via `_addEventListener()`.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} fn - The listener.
+   */
+  static _removeEventListener(type, fn) {
+    _emitter.removeEventListener(type, fn);
+  }
+
+  /**
+   * Imports handler registration records, as returned by
+   * `_getAllRegistrations()`, for a request type. Existing registrations
+   * that differ from imported ones are reported as conflicts and kept. This
+   * is a private method that may be called by a mediator to restore its
+   * state from a backup.
+   *
+   * @param {string} requestType - The request type.
+   * @param {Array<object>} records - The registration records to import.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.dryRun=false] - `true` to only report what
+   *   would be imported.
+   *
+   * @returns {Promise<object>} Resolves to `{imported, conflicts}` where
+   *   `imported` is the number of registrations (to be) stored and
+   *   `conflicts` is an array of the conflicting handler URLs.
+   */
+  static async _importRegistrations(
+    requestType, records, {dryRun = false} = {}) {
+    const writes = [];
+    const conflicts = [];
+    for(const record of records) {
+      const parsed = utils.parseUrl(record.url, origin);
+      const handlerUrl = parsed.origin + parsed.pathname;
+      // imported registrations are held to the same limits as registered ones
+      const options = {};
+      for(const property of ['name', 'icons', 'enabledTypes']) {
+        if(record[property] !== undefined) {
+          options[property] = record[property];
+        }
+      }
+      assertValid(OPTIONS_SCHEMA, options, {name: 'registration'});
+      if(record.icons) {
+        _assertValidIcons(record.icons, handlerUrl, {name: 'registration'});
+      }
+      const storage = WebRequestHandlersService._getHandlerStorage(
+        requestType, parsed.origin);
+      const existing = _toRecord(
+        await storage.getItem(handlerUrl), handlerUrl);
+      if(existing) {
+        if(!_isSameRegistration(existing, record)) {
+          conflicts.push(handlerUrl);
+        }
+        continue;
+      }
+      writes.push({
+        handlerOrigin: parsed.origin,
+        record: {
+          icons: [], enabledTypes: [], registered: null,
+          registeringOrigin: null, ...record, url: handlerUrl
+        }
+      });
+    }
+    if(dryRun) {
+      return {imported: writes.length, conflicts};
+    }
+
+    const originStorage = WebRequestHandlersService._getOriginStorage(
+      requestType);
+    for(const {handlerOrigin, record} of writes) {
+      await originStorage.setItem(
+        handlerOrigin, _getHandlerStorageConfig(requestType, handlerOrigin));
+      await WebRequestHandlersService._getHandlerStorage(
+        requestType, handlerOrigin).setItem(record.url, record);
+      await _logRegistration({
+        actor: 'mediator', action: 'import', requestType,
+        handlerUrl: record.url
+      });
+    }
+    return {imported: writes.length, conflicts};
+  }
+
+  /**
+   * Exports the preferred handlers for a request type. This is a private
+   * method that may be called by a mediator to back up its state.
+   *
+   * @param {string} requestType - The request type.
+   *
+   * @returns {Promise<object>} Resolves to an object mapping each relying
+   *   origin to its preference of the form `{handler, created}`.
+   */
+  static async _exportPreferences(requestType) {
+    return _readAll(
+      WebRequestHandlersService._getPreferenceStorage(requestType));
+  }
+
+  /**
+   * Imports preferred handlers, as returned from `_exportPreferences()`, for
+   * a request type. Existing preferences are kept; where one differs from
+   * the imported preference, it is reported as a conflict. This is a private
+   * method that may be called by a mediator to restore its state.
+   *
+   * @param {string} requestType - The request type.
+   * @param {object} preferences - An object mapping relying origins to
+   *   preferences of the form `{handler, created}`.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.dryRun=false] - `true` to only report what
+   *   would be imported.
+   *
+   * @returns {Promise<object>} Resolves to `{imported, conflicts}` with the
+   *   number of preferences (to be) imported and the relying origins whose
+   *   existing preferences conflict.
+   */
+  static async _importPreferences(
+    requestType, preferences, {dryRun = false} = {}) {
+    const storage = WebRequestHandlersService._getPreferenceStorage(
+      requestType);
+    const writes = [];
+    const conflicts = [];
+    for(const relyingOrigin in preferences) {
+      const {handler, created = Date.now()} = preferences[relyingOrigin];
+      const preference = {handler: _getHandlerUrl(handler), created};
+      const existing = await storage.getItem(relyingOrigin);
+      if(!existing) {
+        writes.push({relyingOrigin, preference});
+      } else if(existing.handler !== preference.handler) {
+        conflicts.push(relyingOrigin);
+      }
+    }
+    if(!dryRun) {
+      for(const {relyingOrigin, preference} of writes) {
+        await storage.setItem(relyingOrigin, preference);
+      }
+    }
+    return {imported: writes.length, conflicts};
+  }
+
+  /**
+   * Exports the usage of the handlers for a request type. This is a private
+   * method that may be called by a mediator to back up its state.
+   *
+   * @param {string} requestType - The request type.
+   *
+   * @returns {Promise<object>} Resolves to an object mapping each handler
+   *   URL to its usage of the form `{count, lastUsed, origins}`.
+   */
+  static async _exportUsage(requestType) {
+    return _readAll(WebRequestHandlersService._getUsageStorage(requestType));
+  }
+
+  /**
+   * Imports handler usage, as returned from `_exportUsage()`, for a request
+   * type. Imported usage is merged with any existing usage by keeping the
+   * greater count and the later time of last use, so importing the same
+   * usage again has no effect. This is a private method that may be called
+   * by a mediator to restore its state.
+   *
+   * @param {string} requestType - The request type.
+   * @param {object} usage - An object mapping handler URLs to usage of the
+   *   form `{count, lastUsed, origins}`.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.dryRun=false] - `true` to only report what
+   *   would be imported.
+   *
+   * @returns {Promise<object>} Resolves to `{imported}` with the number of
+   *   handlers whose usage was (or would be) imported.
+   */
+  static async _importUsage(requestType, usage, {dryRun = false} = {}) {
+    const urls = Object.keys(usage);
+    // parse every URL before writing any usage
+    const handlerUrls = urls.map(_getHandlerUrl);
+    if(dryRun) {
+      return {imported: urls.length};
+    }
+    await withLock(_getUsageLockName(requestType), async () => {
+      const storage = WebRequestHandlersService._getUsageStorage(requestType);
+      for(const [i, url] of urls.entries()) {
+        const handlerUrl = handlerUrls[i];
+        const existing = await storage.getItem(handlerUrl) ||
+          {count: 0, lastUsed: null, origins: {}};
+        const merged = _mergeUsage(existing, usage[url]);
+        merged.origins = {...existing.origins};
+        for(const relyingOrigin in usage[url].origins) {
+          merged.origins[relyingOrigin] = _mergeUsage(
+            existing.origins[relyingOrigin] || {count: 0, lastUsed: null},
+            usage[url].origins[relyingOrigin]);
+        }
+        await storage.setItem(handlerUrl, merged);
+      }
+    });
+    return {imported: urls.length};
+  }
+
+  /**
+   * Removes every handler registration for a request type. This is a private
+   * method that may be called by a mediator to remove registrations from
+   * within the mediator.
+   *
+   * @param {string} requestType - The request type.
+   *
+   * @returns {Promise<Array<string>>} Resolves to the URLs of the handlers
+   *   that were unregistered.
+   */
+  static async _removeAllRegistrations(requestType) {
+    const originStorage = WebRequestHandlersService._getOriginStorage(
+      requestType);
+    const origins = await originStorage.keys();
+    const removed = [];
+    for(const handlerOrigin of origins) {
+      const storage = WebRequestHandlersService._getHandlerStorage(
+        requestType, handlerOrigin);
+      removed.push(...await storage.keys());
+      await dropInstance(storage);
+    }
+    await originStorage.clear();
+    await WebRequestHandlersService._getUsageStorage(requestType).clear();
+    await WebRequestHandlersService._getPreferenceStorage(requestType).clear();
+    await WebRequestHandlersService._getHealthStorage(requestType).clear();
+    for(const handlerUrl of removed) {
+      await _logRegistration(
+        {actor: 'mediator', action: 'unregister', requestType, handlerUrl});
+    }
+    return removed;
+  }
+
+  /**
+   * Removes a handler origin from the origins tracked for a request type,
+   * along with its handler storage, if it has no registered handlers left.
+   * This is a private method that may be called by a mediator to clean up
+   * its storage.
+   *
+   * @param {string} requestType - The request type.
+   * @param {string} handlerOrigin - The handler origin.
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.dryRun=false] - `true` to only report whether
+   *   the origin would be removed.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the origin was (or
+   *   would be) removed.
+   */
+  static async _removeEmptyOrigin(
+    requestType, handlerOrigin, {dryRun = false} = {}) {
+    return withLock(_getLockName(requestType, handlerOrigin), async () => {
+      if(dryRun) {
+        const storage = WebRequestHandlersService._getHandlerStorage(
+          requestType, handlerOrigin);
+        return await storage.length() === 0;
+      }
+      return _removeOriginIfEmpty(requestType, handlerOrigin);
+    });
+  }
+}
+
+async function _register({
+  requestType, url, options, actor, registeringOrigin, emitters
+}) {
+  if(options.icons) {
+    _assertValidIcons(options.icons, _getHandlerUrl(url), {name: 'options'});
+  }
+
+  // let extensions veto registration
+  await _dispatch(_createEvent(
+    'beforeregister', {requestType, registration: url, options},
+    {cancelable: true}), emitters);
+
+  const {handlerUrl, record, created} = await _storeRegistration(
+    requestType, url, {...options, registeringOrigin});
+  if(created) {
+    await _logRegistration(
+      {actor, action: 'register', requestType, handlerUrl});
+  }
+
+  const event = _createEvent(
+    'register', {requestType, registration: handlerUrl, record, created});
+  await _dispatch(event, emitters);
+  return handlerUrl;
+}
+
+function _assertValidIcons(icons, handlerUrl, {name}) {
+  // icons are shown by the mediator, so only allow URLs that cannot run
+  // script or track the user on behalf of another origin
+  const {origin: handlerOrigin} = new URL(handlerUrl);
+  const errors = [];
+  icons.forEach(({src}, i) => {
+    let url;
+    try {
+      url = new URL(src, handlerUrl);
+    } catch(e) {}
+    if(!(url && (url.protocol === 'https:' ||
+      (url.protocol === 'data:' && /^data:image\//i.test(url.href)) ||
+      url.origin === handlerOrigin))) {
+      errors.push({
+        path: `/icons/${i}/src`,
+        message: 'must be an "https:", "data:image/", or same-origin URL'
+      });
+    }
+  });
+  if(errors.length > 0) {
+    const [{path, message}] = errors;
+    const error = new DOMException(
+      `Invalid ${name}; "${path}" ${message}.`, 'DataError');
+    error.details = {errors};
+    throw error;
+  }
+}
+
+function _createEvent(type, properties, {cancelable = false} = {}) {
+  const event = {
+    ...properties,
+    type,
+    cancelable,
+    defaultPrevented: false,
+    waitUntil(promise) {
+      _eventPromises.get(event).push(Promise.resolve(promise));
+    },
+    preventDefault() {
+      if(event.cancelable) {
+        event.defaultPrevented = true;
+      }
+    }
+  };
+  _eventPromises.set(event, []);
+  return event;
+}
+
+async function _dispatch(event, emitters) {
+  await Promise.all(emitters.map(emitter => emitter.emit(event)));
+  if(event.defaultPrevented) {
+    const operation = event.type.replace(/^before/, '');
+    throw new DOMException(
+      `Handler ${operation} was prevented by an event listener.`,
+      'NotAllowedError');
+  }
+}
+
+async function _waitForAll(event) {
+  const promises = _eventPromises.get(event) || [];
+  const results = await Promise.allSettled(promises);
+  const errors = results.filter(({status}) => status === 'rejected')
+    .map(({reason}) => reason);
+  if(errors.length === 1) {
+    throw errors[0];
+  }
+  if(errors.length > 1) {
+    throw new AggregateError(
+      errors, `Multiple "${event.type}" event handlers failed.`);
+  }
+}
+
+async function _storeRegistration(requestType, url, {
+  name, icons, enabledTypes, registeringOrigin
+}) {
+  const parsed = utils.parseUrl(url, origin);
+  const handlerUrl = parsed.origin + parsed.pathname;
+
+  return withLock(_getLockName(requestType, parsed.origin), async () => {
     // add new registration:
     // 1. Add that origin has registered for the request type.
     // 2. Add the registration url.
@@ -199,10 +1009,165 @@ export class WebRequestHandlersService extends EventEmitter {
 
     const handlerStorage = WebRequestHandlersService._getHandlerStorage(
       requestType, parsed.origin);
-    await handlerStorage.setItem(handlerUrl, true);
+    const existing = _toRecord(
+      await handlerStorage.getItem(handlerUrl), handlerUrl);
+    // keep when and by whom the handler was first registered
+    const record = existing || {
+      url: handlerUrl,
+      icons: [],
+      enabledTypes: [],
+      registered: Date.now(),
+      registeringOrigin
+    };
+    if(name !== undefined) {
+      record.name = name;
+    }
+    if(icons !== undefined) {
+      // resolve icon URLs now as they are relative to the handler
+      record.icons = icons.map(
+        icon => ({...icon, src: new URL(icon.src, handlerUrl).href}));
+    }
+    if(enabledTypes !== undefined) {
+      record.enabledTypes = enabledTypes;
+    }
+    await handlerStorage.setItem(handlerUrl, record);
 
-    return handlerUrl;
+    return {handlerUrl, record, created: !existing};
+  });
+}
+
+async function _removeRegistration(requestType, handlerUrl) {
+  const {origin: handlerOrigin} = utils.parseUrl(handlerUrl, origin);
+  await withLock(_getLockName(requestType, handlerOrigin), async () => {
+    const storage = WebRequestHandlersService._getHandlerStorage(
+      requestType, handlerOrigin);
+    await storage.removeItem(handlerUrl);
+    await _removeOriginIfEmpty(requestType, handlerOrigin);
+  });
+  await withLock(_getUsageLockName(requestType), async () => {
+    await WebRequestHandlersService._getUsageStorage(requestType).removeItem(
+      handlerUrl);
+  });
+  await withLock(_getHealthLockName(requestType), async () => {
+    await WebRequestHandlersService._getHealthStorage(requestType).removeItem(
+      handlerUrl);
+  });
+
+  // forget any preferences for the handler
+  const preferenceStorage = WebRequestHandlersService._getPreferenceStorage(
+    requestType);
+  const relyingOrigins = [];
+  await preferenceStorage.iterate(({handler}, relyingOrigin) => {
+    if(handler === handlerUrl) {
+      relyingOrigins.push(relyingOrigin);
+    }
+  });
+  for(const relyingOrigin of relyingOrigins) {
+    await preferenceStorage.removeItem(relyingOrigin);
+  }
+}
+
+async function _removeOriginIfEmpty(requestType, handlerOrigin) {
+  // must be called while holding the lock for the origin
+  const storage = WebRequestHandlersService._getHandlerStorage(
+    requestType, handlerOrigin);
+  if(await storage.length() > 0) {
+    return false;
+  }
+  await dropInstance(storage);
+  await WebRequestHandlersService._getOriginStorage(
+    requestType).removeItem(handlerOrigin);
+  return true;
+}
+
+function _getLockName(requestType, handlerOrigin) {
+  return 'webRequestHandler_' + requestType + '_' + handlerOrigin;
+}
+
+function _getUsageLockName(requestType) {
+  return 'webRequestHandler_' + requestType + '_usage';
+}
+
+function _getHealthLockName(requestType) {
+  return 'webRequestHandler_' + requestType + '_health';
+}
+
+function _createHealth() {
+  return {state: 'healthy', failures: 0, lastFailure: null};
+}
+
+function _compareUsage(a, b, relyingOrigin) {
+  // most recently used by the relying origin, then by any origin
+  const keys = [];
+  if(relyingOrigin !== undefined) {
+    keys.push(({usage}) => (usage.origins[relyingOrigin] || {}).lastUsed);
+  }
+  keys.push(({usage}) => usage.lastUsed, ({usage}) => usage.count);
+  for(const key of keys) {
+    // never used sorts last
+    const difference = (key(b) || 0) - (key(a) || 0);
+    if(difference !== 0) {
+      return difference;
+    }
   }
+  // keep a stable order for handlers that have never been used
+  return a.registration.url < b.registration.url ? -1 : 1;
+}
+
+function _getHandlerUrl(url) {
+  const parsed = utils.parseUrl(url, origin);
+  return parsed.origin + parsed.pathname;
+}
+
+async function _getRecord(requestType, handlerUrl) {
+  const {origin: handlerOrigin} = utils.parseUrl(handlerUrl, origin);
+  const value = await WebRequestHandlersService._getHandlerStorage(
+    requestType, handlerOrigin).getItem(handlerUrl);
+  return _toRecord(value, handlerUrl);
+}
+
+function _mergeUsage(usage1, usage2) {
+  return {
+    count: Math.max(usage1.count, usage2.count),
+    lastUsed: Math.max(usage1.lastUsed || 0, usage2.lastUsed || 0) || null
+  };
+}
+
+async function _readAll(storage) {
+  const values = {};
+  await storage.iterate((value, key) => {
+    values[key] = value;
+  });
+  return values;
+}
+
+function _isSameRegistration(record1, record2) {
+  const {name, icons = [], enabledTypes = []} = record2;
+  return record1.name === name &&
+    JSON.stringify(record1.icons) === JSON.stringify(icons) &&
+    JSON.stringify(record1.enabledTypes) === JSON.stringify(enabledTypes);
+}
+
+function _toRecord(value, url) {
+  if(value === true) {
+    // registration stored before registration records were introduced
+    return {
+      url, icons: [], enabledTypes: [], registered: null,
+      registeringOrigin: null
+    };
+  }
+  return value && typeof value === 'object' ? value : null;
+}
+
+async function _logRegistration({actor, action, requestType, handlerUrl}) {
+  await auditLog.append({
+    actor,
+    origin: utils.parseUrl(handlerUrl, origin).origin,
+    action,
+    requestType,
+    handler: handlerUrl,
+    state: action === 'unregister' ? 'unregistered' : 'registered'
+  });
 }
 
 function _normalizeUrl(url, origin) {
@@ -214,22 +1179,41 @@ function _normalizeUrl(url, origin) {
 }
 
 function _getOriginStorageConfig(requestType) {
-  // TODO: use 'name' and 'storeName'?
-  // {name: 'webRequestHandler_' + requestType, storeName: 'origin'}
   return {
-    name: 'webRequestHandler_' + requestType + '_origin',
+    name: 'webRequestHandler_' + requestType,
+    storeName: 'origin',
     driver: localforage.driver()
   };
 }
 
 function _getHandlerStorageConfig(requestType, origin) {
-  // TODO: use 'name' and 'storeName'?
-  // {
-  //   name: 'webRequestHandler_' + requestType,
-  //   storeName: 'registration_' + origin
-  // }
   return {
-    name: 'webRequestHandler_' + requestType + '_' + origin + '_registration',
+    name: 'webRequestHandler_' + requestType,
+    storeName: 'registration_' + origin,
+    driver: localforage.driver()
+  };
+}
+
+function _getUsageStorageConfig(requestType) {
+  return {
+    name: 'webRequestHandler_' + requestType,
+    storeName: 'usage',
+    driver: localforage.driver()
+  };
+}
+
+function _getPreferenceStorageConfig(requestType) {
+  return {
+    name: 'webRequestHandler_' + requestType,
+    storeName: 'preference',
+    driver: localforage.driver()
+  };
+}
+
+function _getHealthStorageConfig(requestType) {
+  return {
+    name: 'webRequestHandler_' + requestType,
+    storeName: 'health',
     driver: localforage.driver()
   };
 }
@@ -0,0 +1,152 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import localforage from './storage.js';
+
+/* An append-only, bounded log of permission and handler registration changes
+made by (or on behalf of) relying origins. Each entry has the form:
+
+{
+  timestamp: <ms since epoch>,
+  actor: <origin that made the change or `mediator`>,
+  origin: <relying origin the change applies to>,
+  action: <e.g. `request`, `revoke`, `register`, `unregister`>,
+  permission: <PermissionDescriptor, for permission changes>,
+  requestType: <request type, for handler changes>,
+  handler: <handler URL, for handler changes>,
+  state: <resulting state, e.g. `granted`, `denied`, `registered`>
+}
+
+When falling back to cookie storage, the log is only kept in memory for the
+life of this browsing context: every cookie is sent with every request to
+the mediator origin, so even a small persisted log would make those
+requests too large to be accepted. */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+let _maxEntries = DEFAULT_MAX_ENTRIES;
+// the log kept in memory when mediator storage uses the cookie driver
+let _memoryStorage;
+// orders entries appended in this context within the same millisecond
+let _sequence = 0;
+
+/**
+ * Sets the maximum number of entries kept in the audit log; the oldest
+ * entries are removed once the maximum is exceeded.
+ *
+ * @param {number} maxEntries - The maximum number of entries.
+ */
+export function setMaxEntries(maxEntries) {
+  if(!(Number.isInteger(maxEntries) && maxEntries > 0)) {
+    throw new TypeError('"maxEntries" must be a positive integer.');
+  }
+  _maxEntries = maxEntries;
+}
+
+/**
+ * Appends an entry to the audit log. Failures to write to the log are
+ * reported to the console but otherwise ignored so that they never prevent
+ * the change being logged.
+ *
+ * @param {object} entry - The entry to append (without a `timestamp`).
+ *
+ * @returns {Promise} Resolves once the entry has been appended.
+ */
+export async function append(entry) {
+  try {
+    const timestamp = Date.now();
+    const storage = _getStorage();
+    await storage.setItem(_createKey(timestamp), {timestamp, ...entry});
+
+    // remove oldest entries beyond the maximum
+    const keys = (await storage.keys()).sort();
+    const excess = keys.length - _maxEntries;
+    for(let i = 0; i < excess; ++i) {
+      await storage.removeItem(keys[i]);
+    }
+  } catch(e) {
+    // lack of storage in 3rd party contexts is expected in some browsers
+    if(!e.message.startsWith('No available storage')) {
+      console.error(e);
+    }
+  }
+}
+
+/**
+ * Queries the audit log.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.origin] - Only return entries for this relying
+ *   origin.
+ * @param {Date|number} [options.since] - Only return entries made at or
+ *   after this time.
+ * @param {Date|number} [options.until] - Only return entries made before
+ *   this time.
+ * @param {number} [options.limit] - Return at most this many of the most
+ *   recent matching entries.
+ *
+ * @returns {Promise<Array<object>>} Resolves to the matching entries in
+ *   chronological order.
+ */
+export async function query({origin, since, until, limit = Infinity} = {}) {
+  since = since === undefined ? -Infinity : new Date(since).getTime();
+  until = until === undefined ? Infinity : new Date(until).getTime();
+  if(Number.isNaN(since) || Number.isNaN(until)) {
+    throw new TypeError('"since" and "until" must be Dates or timestamps.');
+  }
+
+  // keys start with the timestamp so entries can be filtered by time and
+  // ordered without reading them
+  const storage = _getStorage();
+  const keys = (await storage.keys()).sort().filter(key => {
+    const timestamp = parseInt(key, 10);
+    return timestamp >= since && timestamp < until;
+  });
+  const entries = [];
+  for(let i = keys.length - 1; i >= 0 && entries.length < limit; --i) {
+    const entry = await storage.getItem(keys[i]);
+    if(entry && (origin === undefined || entry.origin === origin)) {
+      entries.push(entry);
+    }
+  }
+  return entries.reverse();
+}
+
+function _getStorage() {
+  const driver = localforage.driver();
+  if(driver === 'cookieWrapper') {
+    return _getMemoryStorage();
+  }
+  return localforage.createInstance({name: 'auditLog', driver});
+}
+
+function _getMemoryStorage() {
+  if(!_memoryStorage) {
+    // implements the subset of the localforage API used by this module
+    const entries = new Map();
+    _memoryStorage = {
+      async getItem(key) {
+        return entries.has(key) ? entries.get(key) : null;
+      },
+      async setItem(key, value) {
+        entries.set(key, value);
+      },
+      async removeItem(key) {
+        entries.delete(key);
+      },
+      async keys() {
+        return [...entries.keys()];
+      }
+    };
+  }
+  return _memoryStorage;
+}
+
+function _createKey(timestamp) {
+  // pad so keys sort chronologically; add a random suffix so entries made at
+  // the same time in different tabs do not collide
+  _sequence = (_sequence + 1) % 1e6;
+  return String(timestamp).padStart(15, '0') + '_' +
+    String(_sequence).padStart(6, '0') + '_' +
+    Math.random().toString(36).slice(2, 10);
+}
@@ -0,0 +1,357 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assertStrings} from './helpers.js';
+import {assertValid} from './schema.js';
+import {PermissionManager} from './PermissionManager.js';
+import {SimpleContainerService} from './SimpleContainerService.js';
+import {WebRequestHandlersService} from './WebRequestHandlersService.js';
+
+/* Exports and imports mediator state as a single versioned bundle so that it
+can be moved to another browser. A bundle has the form:
+
+{
+  type: 'WebRequestMediatorBackup',
+  version: 1,
+  created: <ms since epoch>,
+  handlers: {<requestType>: [<registration record>, ...]},
+  preferences: {<requestType>: {<relying origin>: {handler, created}}},
+  usage: {<requestType>: {<handler URL>: {count, lastUsed, origins}}},
+  containers: {<itemType>: {<handler URL>: [<exported item>, ...]}},
+  permissions: {<relying origin>: {<permission key>: <stored status>}}
+}
+
+`preferences` and `usage` may be omitted.
+
+A bundle is imported as it is; container items are not checked against the
+key and item validation or quotas of the services for their item types, so
+only bundles from a trusted source should be imported.
+
+Encrypted items are decrypted when exported (the keys used to encrypt them
+cannot leave the mediator origin) and encrypted again when imported, so a
+bundle must be protected as carefully as the state it contains. */
+
+const BUNDLE_TYPE = 'WebRequestMediatorBackup';
+const BUNDLE_VERSION = 1;
+
+const REGISTRATION_SCHEMA = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: {type: 'string'},
+    name: {type: 'string'},
+    icons: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['src'],
+        properties: {src: {type: 'string'}}
+      }
+    },
+    enabledTypes: {type: 'array', items: {type: 'string'}},
+    registered: {type: ['number', 'null']},
+    registeringOrigin: {type: ['string', 'null']}
+  }
+};
+
+const ITEM_SCHEMA = {
+  type: 'object',
+  required: ['key', 'item'],
+  properties: {
+    key: {type: 'string'},
+    revision: {type: 'string'},
+    updatedAt: {type: ['number', 'null']},
+    expires: {type: 'number'},
+    encrypted: {type: 'boolean'}
+  }
+};
+
+const PREFERENCE_SCHEMA = {
+  type: 'object',
+  required: ['handler'],
+  properties: {
+    handler: {type: 'string'},
+    created: {type: 'number'}
+  }
+};
+
+const USE_SCHEMA = {
+  type: 'object',
+  required: ['count', 'lastUsed'],
+  properties: {
+    count: {type: 'integer'},
+    lastUsed: {type: ['number', 'null']}
+  }
+};
+
+const USAGE_SCHEMA = {
+  type: 'object',
+  required: ['count', 'lastUsed', 'origins'],
+  properties: {
+    ...USE_SCHEMA.properties,
+    origins: {type: 'object', additionalProperties: USE_SCHEMA}
+  }
+};
+
+const STATUS_SCHEMA = {
+  type: 'object',
+  required: ['state', 'descriptor'],
+  properties: {
+    state: {enum: ['granted', 'denied']},
+    descriptor: {
+      type: 'object',
+      required: ['name'],
+      properties: {name: {type: 'string'}}
+    },
+    expires: {type: 'number'}
+  }
+};
+
+const BUNDLE_SCHEMA = {
+  type: 'object',
+  required: ['type', 'version', 'handlers', 'containers', 'permissions'],
+  properties: {
+    type: {enum: [BUNDLE_TYPE]},
+    version: {enum: [BUNDLE_VERSION]},
+    created: {type: 'number'},
+    handlers: {
+      type: 'object',
+      additionalProperties: {type: 'array', items: REGISTRATION_SCHEMA}
+    },
+    preferences: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: PREFERENCE_SCHEMA
+      }
+    },
+    usage: {
+      type: 'object',
+      additionalProperties: {type: 'object', additionalProperties: USAGE_SCHEMA}
+    },
+    containers: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: {type: 'array', items: ITEM_SCHEMA}
+      }
+    },
+    permissions: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: STATUS_SCHEMA
+      }
+    }
+  }
+};
+
+/**
+ * Exports mediator state as a bundle. Storage is only indexed per request
+ * type and item type, so the types to export must be given. Containers
+ * created by older versions of this library are only indexed, and so only
+ * exported, once `migrations.migrate()` has been run.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<string>} [options.requestTypes=[]] - The request types to
+ *   export handler registrations for.
+ * @param {Array<string>} [options.itemTypes=[]] - The types of container
+ *   items to export.
+ *
+ * @returns {Promise<object>} Resolves to the bundle.
+ */
+export async function exportState({requestTypes = [], itemTypes = []} = {}) {
+  assertStrings(requestTypes, 'requestTypes');
+  assertStrings(itemTypes, 'itemTypes');
+
+  const handlers = {};
+  const preferences = {};
+  const usage = {};
+  for(const requestType of requestTypes) {
+    // disabled handlers are still registered
+    const origins = await WebRequestHandlersService._getAllRegistrations(
+      requestType, {includeDisabled: true});
+    handlers[requestType] = origins.flatMap(
+      ({registrations}) => registrations);
+    preferences[requestType] =
+      await WebRequestHandlersService._exportPreferences(requestType);
+    usage[requestType] =
+      await WebRequestHandlersService._exportUsage(requestType);
+  }
+
+  const containers = {};
+  for(const itemType of itemTypes) {
+    const urls = await SimpleContainerService._getHandlerIndex(
+      itemType).keys();
+    containers[itemType] = {};
+    for(const url of urls) {
+      const items = await SimpleContainerService._exportItems(url, itemType);
+      if(items.length > 0) {
+        containers[itemType][url] = items;
+      }
+    }
+  }
+
+  const permissions = await PermissionManager._exportPermissions();
+
+  return {
+    type: BUNDLE_TYPE,
+    version: BUNDLE_VERSION,
+    created: Date.now(),
+    handlers,
+    preferences,
+    usage,
+    containers,
+    permissions
+  };
+}
+
+/**
+ * Imports mediator state from a bundle.
+ *
+ * In `merge` mode, state in the bundle is added to the existing state;
+ * where an existing registration, preferred handler, container item, or
+ * permission decision differs from the bundle's, the existing one is kept
+ * and the difference is reported as a conflict. Handler usage is merged by
+ * keeping the greater count and the later time of last use. In `replace`
+ * mode, all permissions and the registrations (with their preferences and
+ * usage) and containers for the request types and item types in the bundle
+ * are removed first, so there are no conflicts.
+ *
+ * Every part of the bundle is checked (as for `dryRun`) before any state is
+ * changed, so a bundle that cannot be imported, for example, because it has
+ * encrypted items and encryption is not supported, is rejected without
+ * changing any state.
+ *
+ * @param {object} bundle - The bundle, as returned by `exportState()`.
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.mode='merge'] - `merge` or `replace`.
+ * @param {boolean} [options.dryRun=false] - `true` to only report what
+ *   would be imported (and any conflicts) without changing any state.
+ *
+ * @returns {Promise<object>} Resolves to `{imported, conflicts}` where
+ *   `imported` has the number of `handlers`, `preferences`, `usage`,
+ *   `items`, and `permissions` (to be) imported and `conflicts` is an array
+ *   of objects of the form `{type: 'handler', requestType, handler}`,
+ *   `{type: 'preference', requestType, origin}`,
+ *   `{type: 'item', itemType, handler, key}`, or
+ *   `{type: 'permission', origin, key}`; rejects with a `DataError` or a
+ *   `NotSupportedError` if the bundle cannot be imported.
+ */
+export async function importState(bundle, {
+  mode = 'merge', dryRun = false
+} = {}) {
+  if(!['merge', 'replace'].includes(mode)) {
+    throw new TypeError('"mode" must be "merge" or "replace".');
+  }
+  assertValid(BUNDLE_SCHEMA, bundle, {name: 'bundle'});
+
+  // a dry run fails wherever importing would, so run one before changing any
+  // state so that a bundle is never partially imported
+  const result = await _importBundle(bundle, {dryRun: true});
+  if(dryRun) {
+    // in `replace` mode, everything in the bundle would be imported
+    return mode === 'replace' ?
+      {imported: _countBundle(bundle), conflicts: []} : result;
+  }
+
+  if(mode === 'replace') {
+    const {handlers, preferences = {}, usage = {}, containers} = bundle;
+    const requestTypes = new Set([
+      ...Object.keys(handlers), ...Object.keys(preferences),
+      ...Object.keys(usage)
+    ]);
+    for(const requestType of requestTypes) {
+      await WebRequestHandlersService._removeAllRegistrations(requestType);
+    }
+    for(const itemType in containers) {
+      const urls = await SimpleContainerService._getHandlerIndex(
+        itemType).keys();
+      for(const url of urls) {
+        await SimpleContainerService._destroy(url, itemType);
+      }
+    }
+    for(const {origin} of await PermissionManager._getAllPermissions()) {
+      await PermissionManager._revokeAllPermissions(origin);
+    }
+  }
+
+  return _importBundle(bundle, {dryRun: false});
+}
+
+async function _importBundle({
+  handlers, preferences = {}, usage = {}, containers, permissions
+}, {dryRun}) {
+  const imported = {
+    handlers: 0, preferences: 0, usage: 0, items: 0, permissions: 0
+  };
+  const conflicts = [];
+
+  for(const origin in permissions) {
+    const result = await PermissionManager._importPermissions(
+      origin, permissions[origin], {dryRun});
+    imported.permissions += result.imported;
+    conflicts.push(...result.conflicts.map(
+      key => ({type: 'permission', origin, key})));
+  }
+
+  for(const requestType in handlers) {
+    const result = await WebRequestHandlersService._importRegistrations(
+      requestType, handlers[requestType], {dryRun});
+    imported.handlers += result.imported;
+    conflicts.push(...result.conflicts.map(
+      handler => ({type: 'handler', requestType, handler})));
+  }
+
+  for(const requestType in preferences) {
+    const result = await WebRequestHandlersService._importPreferences(
+      requestType, preferences[requestType], {dryRun});
+    imported.preferences += result.imported;
+    conflicts.push(...result.conflicts.map(
+      origin => ({type: 'preference', requestType, origin})));
+  }
+
+  for(const requestType in usage) {
+    const result = await WebRequestHandlersService._importUsage(
+      requestType, usage[requestType], {dryRun});
+    imported.usage += result.imported;
+  }
+
+  for(const itemType in containers) {
+    for(const handler in containers[itemType]) {
+      const result = await SimpleContainerService._importItems(
+        handler, itemType, containers[itemType][handler], {dryRun});
+      imported.items += result.imported;
+      conflicts.push(...result.conflicts.map(
+        key => ({type: 'item', itemType, handler, key})));
+    }
+  }
+
+  return {imported, conflicts};
+}
+
+function _countBundle({
+  handlers, preferences = {}, usage = {}, containers, permissions
+}) {
+  const count = {
+    handlers: 0, preferences: 0, usage: 0, items: 0, permissions: 0
+  };
+  for(const requestType in handlers) {
+    count.handlers += handlers[requestType].length;
+  }
+  for(const requestType in preferences) {
+    count.preferences += Object.keys(preferences[requestType]).length;
+  }
+  for(const requestType in usage) {
+    count.usage += Object.keys(usage[requestType]).length;
+  }
+  for(const itemType in containers) {
+    for(const handler in containers[itemType]) {
+      count.items += containers[itemType][handler].length;
+    }
+  }
+  for(const origin in permissions) {
+    count.permissions += Object.keys(permissions[origin]).length;
+  }
+  return count;
+}
@@ -0,0 +1,197 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import localforage from './storage.js';
+import {withLock} from './locks.js';
+
+/* Encrypts values at rest using AES-GCM with non-extractable keys generated
+for, and only usable by, the mediator origin. Keys are kept in IndexedDB
+(they cannot be stored in cookies) under an ID that is stored alongside each
+encrypted value so that values can still be decrypted after the current key
+is rotated. Encrypted values have the form:
+
+{
+  keyId: <ID of the key used>,
+  iv: <base64url-encoded initialization vector>,
+  ciphertext: <base64url-encoded ciphertext>
+} */
+
+const ALGORITHM = 'AES-GCM';
+const CURRENT_KEY_ID = 'current';
+const IV_LENGTH = 12;
+
+/**
+ * Determines whether values can be encrypted. Keys can only be kept in
+ * IndexedDB, so values cannot be encrypted where it is unavailable, for
+ * example, where storage falls back to cookies.
+ *
+ * @returns {boolean} `true` if values can be encrypted.
+ */
+export function isSupported() {
+  return localforage.supports(localforage.INDEXEDDB);
+}
+
+/**
+ * Encrypts a value with the current key, generating a key if there is none.
+ *
+ * @param {*} value - The value to encrypt; it must be JSON-serializable.
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.additionalData=''] - Data to authenticate along
+ *   with the value; the same data must be given to decrypt it.
+ *
+ * @returns {Promise<object>} Resolves to the encrypted value; rejects with a
+ *   `NotSupportedError` if encryption is not supported.
+ */
+export async function encrypt(value, {additionalData = ''} = {}) {
+  const {id: keyId, key} = await _getCurrentKey();
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt(
+    {name: ALGORITHM, iv, additionalData: _encode(additionalData)},
+    key, plaintext);
+  return {
+    keyId,
+    iv: _toBase64Url(iv),
+    ciphertext: _toBase64Url(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypts a value.
+ *
+ * @param {object} encrypted - The encrypted value.
+ * @param {string} encrypted.keyId - The ID of the key used to encrypt it.
+ * @param {string} encrypted.iv - The initialization vector.
+ * @param {string} encrypted.ciphertext - The ciphertext.
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.additionalData=''] - The data that was given
+ *   when the value was encrypted.
+ *
+ * @returns {Promise} Resolves to the decrypted value; rejects with a
+ *   `NotFoundError` if the key used to encrypt it is missing.
+ */
+export async function decrypt(
+  {keyId, iv, ciphertext}, {additionalData = ''} = {}) {
+  const key = await _getKey(keyId);
+  if(!key) {
+    const error = new DOMException(
+      `The encryption key "${keyId}" is missing.`, 'NotFoundError');
+    error.details = {keyId};
+    throw error;
+  }
+  const plaintext = await crypto.subtle.decrypt(
+    {name: ALGORITHM, iv: _fromBase64Url(iv),
+      additionalData: _encode(additionalData)},
+    key, _fromBase64Url(ciphertext));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Determines whether a value was encrypted with a key other than the
+ * current one and should therefore be re-encrypted.
+ *
+ * @param {object} encrypted - The encrypted value.
+ * @param {string} encrypted.keyId - The ID of the key used to encrypt it.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the value should be
+ *   re-encrypted.
+ */
+export async function isStale({keyId}) {
+  return keyId !== await _getKeyStorage().getItem(CURRENT_KEY_ID);
+}
+
+/**
+ * Generates a new key and makes it the current key. Values encrypted with
+ * previous keys can still be decrypted until those keys are deleted.
+ *
+ * @returns {Promise<string>} Resolves to the ID of the new key.
+ */
+export async function rotateKey() {
+  return withLock('encryption_key', async () => {
+    const {id} = await _generateKey();
+    return id;
+  });
+}
+
+/**
+ * Deletes a key that is no longer current. Any values still encrypted with
+ * it can no longer be decrypted.
+ *
+ * @param {string} keyId - The ID of the key to delete.
+ *
+ * @returns {Promise} Resolves once the key has been deleted.
+ */
+export async function deleteKey(keyId) {
+  return withLock('encryption_key', async () => {
+    const storage = _getKeyStorage();
+    if(keyId === await storage.getItem(CURRENT_KEY_ID)) {
+      throw new DOMException(
+        'The current encryption key cannot be deleted.', 'InvalidStateError');
+    }
+    await storage.removeItem(_getKeyName(keyId));
+  });
+}
+
+async function _getCurrentKey() {
+  const storage = _getKeyStorage();
+  const id = await storage.getItem(CURRENT_KEY_ID);
+  const key = id && await _getKey(id);
+  if(key) {
+    return {id, key};
+  }
+  return withLock('encryption_key', async () => {
+    // another context may have generated the key while waiting
+    const id = await storage.getItem(CURRENT_KEY_ID);
+    const key = id && await _getKey(id);
+    return key ? {id, key} : _generateKey();
+  });
+}
+
+async function _generateKey() {
+  const key = await crypto.subtle.generateKey(
+    {name: ALGORITHM, length: 256}, false, ['encrypt', 'decrypt']);
+  const id = _toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const storage = _getKeyStorage();
+  await storage.setItem(_getKeyName(id), key);
+  await storage.setItem(CURRENT_KEY_ID, id);
+  return {id, key};
+}
+
+async function _getKey(keyId) {
+  return _getKeyStorage().getItem(_getKeyName(keyId));
+}
+
+function _getKeyName(keyId) {
+  return 'key_' + keyId;
+}
+
+function _getKeyStorage() {
+  // `CryptoKey`s can only be stored in IndexedDB
+  if(!isSupported()) {
+    throw new DOMException(
+      'Encryption requires IndexedDB to store encryption keys.',
+      'NotSupportedError');
+  }
+  return localforage.createInstance({
+    name: 'encryptionKey',
+    driver: localforage.INDEXEDDB
+  });
+}
+
+function _encode(data) {
+  return new TextEncoder().encode(data);
+}
+
+function _toBase64Url(bytes) {
+  let binary = '';
+  for(const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function _fromBase64Url(string) {
+  const binary = atob(string.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
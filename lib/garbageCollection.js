@@ -0,0 +1,106 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getVersion, LATEST_VERSION} from './migrations.js';
+import {assertStrings} from './helpers.js';
+import {dropInstance} from './storage.js';
+import {PermissionManager} from './PermissionManager.js';
+import {SimpleContainerService} from './SimpleContainerService.js';
+import {WebRequestHandlersService} from './WebRequestHandlersService.js';
+
+/**
+ * Finds and removes mediator storage that is no longer reachable:
+ *
+ * - Origins tracked as having handlers for a request type that no longer
+ *   have any.
+ * - Containers for handlers that are not registered for any of the given
+ *   request types.
+ * - Permission storage for relying origins with no permission decisions
+ *   left (only `prompt` or expired statuses).
+ *
+ * Storage is only indexed per request type and item type, so every request
+ * type that handlers may be registered for must be given; otherwise the
+ * containers of handlers registered for the missing types are removed.
+ * Registrations stored by older versions of this library are only found once
+ * storage has been migrated, so storage must be migrated first (see
+ * `migrations.migrate()`).
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<string>} options.requestTypes - Every request type that
+ *   handlers may be registered for.
+ * @param {Array<string>} [options.itemTypes=[]] - The types of container
+ *   items to collect.
+ * @param {boolean} [options.dryRun=false] - `true` to only report what
+ *   would be removed.
+ *
+ * @returns {Promise<object>} Resolves to `{origins, containers, permissions}`
+ *   listing what was (or would be) removed, where `origins` has
+ *   `{requestType, origin}` objects, `containers` has `{itemType, handler}`
+ *   objects, and `permissions` has relying origins; rejects with an
+ *   `InvalidStateError` if storage has not been migrated to the latest
+ *   version.
+ */
+export async function collectGarbage({
+  requestTypes, itemTypes = [], dryRun = false
+} = {}) {
+  assertStrings(requestTypes, 'requestTypes');
+  assertStrings(itemTypes, 'itemTypes');
+
+  // until storage is migrated, handlers registered in older layouts would
+  // appear to be unregistered and their containers would be removed
+  const version = await getVersion();
+  if(version < LATEST_VERSION) {
+    throw new DOMException(
+      `Mediator storage version ${version} must be migrated to version ` +
+      `${LATEST_VERSION} before collecting garbage.`, 'InvalidStateError');
+  }
+
+  const origins = [];
+  const registered = new Set();
+  for(const requestType of requestTypes) {
+    const originStorage = WebRequestHandlersService._getOriginStorage(
+      requestType);
+    for(const origin of await originStorage.keys()) {
+      const storage = WebRequestHandlersService._getHandlerStorage(
+        requestType, origin);
+      const urls = await storage.keys();
+      urls.forEach(url => registered.add(url));
+      if(urls.length === 0 &&
+        await WebRequestHandlersService._removeEmptyOrigin(
+          requestType, origin, {dryRun})) {
+        origins.push({requestType, origin});
+      }
+    }
+  }
+
+  const containers = [];
+  for(const itemType of itemTypes) {
+    const urls = await SimpleContainerService._getHandlerIndex(
+      itemType).keys();
+    for(const handler of urls) {
+      if(registered.has(handler)) {
+        continue;
+      }
+      containers.push({itemType, handler});
+      if(!dryRun) {
+        await SimpleContainerService._destroy(handler, itemType);
+      }
+    }
+  }
+
+  const permissions = [];
+  const all = await PermissionManager._getAllPermissions();
+  for(const {origin, permissions: statuses} of all) {
+    // `_getAllPermissions()` reports expired grants as `prompt`
+    if(statuses.some(({state}) => state !== 'prompt')) {
+      continue;
+    }
+    permissions.push(origin);
+    if(!dryRun) {
+      await dropInstance(PermissionManager._getPermissionStorage(origin));
+      await PermissionManager._getOriginStorage().removeItem(origin);
+    }
+  }
+
+  return {origins, containers, permissions};
+}
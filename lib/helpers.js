@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Ensures a value is an array of strings, throwing a TypeError if not.
+ *
+ * @param {*} value - The value to check.
+ * @param {string} name - The name of the value to use in the error.
+ */
+export function assertStrings(value, name) {
+  if(!(Array.isArray(value) && value.every(v => typeof v === 'string'))) {
+    throw new TypeError(`"${name}" must be an array of strings.`);
+  }
+}
+
+/**
+ * Gets the time at which something expires.
+ *
+ * @param {Date|number|string} expires - A Date, a timestamp in ms since the
+ *   epoch, or a date-time string.
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of what expires to use in the
+ *   error (e.g. `Item`).
+ *
+ * @returns {number} The time, in ms since the epoch.
+ */
+export function getExpirationTime(expires, {name}) {
+  let time = NaN;
+  if(expires instanceof Date) {
+    time = expires.getTime();
+  } else if(typeof expires === 'number' || typeof expires === 'string') {
+    time = new Date(expires).getTime();
+  }
+  if(Number.isNaN(time)) {
+    throw new TypeError(
+      `${name} "expires" must be a Date, a timestamp, or a date string.`);
+  }
+  return time;
+}
+
+/**
+ * Creates a channel that receives the messages posted to channels of the
+ * same name in any browsing context on the mediator origin, including
+ * other channels in this same context.
+ *
+ * @param {string} name - The name of the channel.
+ * @param {Function} onMessage - The function to call with the data of each
+ *   message.
+ *
+ * @returns {BroadcastChannel|null} The channel or `null` if the
+ *   BroadcastChannel API is unavailable.
+ */
+export function createChannel(name, onMessage) {
+  if(typeof BroadcastChannel !== 'function') {
+    return null;
+  }
+  const channel = new BroadcastChannel(name);
+  channel.onmessage = ({data}) => onMessage(data);
+  return channel;
+}
+
+/**
+ * Posts a message to every channel of the given name, as created by
+ * `createChannel()`, in any browsing context on the mediator origin.
+ *
+ * @param {string} name - The name of the channel.
+ * @param {*} message - The message to post.
+ */
+export function broadcast(name, message) {
+  if(typeof BroadcastChannel !== 'function') {
+    return;
+  }
+  const channel = new BroadcastChannel(name);
+  channel.postMessage(message);
+  channel.close();
+}
@@ -5,7 +5,15 @@
 /* This library is for creating mediators for specific types of requests on
 the Web that originate from a relying party Web app and are fulfilled by
 a third party service provider Web app. */
+export * as auditLog from './auditLog.js';
+export * as backup from './backup.js';
+export * as encryption from './encryption.js';
+export * as migrations from './migrations.js';
+export {collectGarbage} from './garbageCollection.js';
 export {PermissionManager} from './PermissionManager.js';
+export {
+  allowOrigins, blockOrigins, composePolicies, requireSecureContext
+} from './permissionPolicies.js';
 export {SimpleContainerService} from './SimpleContainerService.js';
 export {WebRequestHandlersService} from './WebRequestHandlersService.js';
 export {WebRequestMediator} from './WebRequestMediator.js';
@@ -0,0 +1,78 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// lock name => promise that settles once the last function queued for the
+// lock in this context has run, used when the Web Locks API is unavailable
+const _queues = new Map();
+
+/**
+ * Runs a function while holding an exclusive lock. The Web Locks API is used
+ * to serialize across all browsing contexts on the mediator origin when it
+ * is available; otherwise functions are only serialized within this
+ * browsing context (see `hasWebLocks()`).
+ *
+ * @param {string} name - The name of the lock.
+ * @param {Function} fn - The function to run.
+ * @param {object} [options] - The options to use.
+ * @param {AbortSignal} [options.signal] - An AbortSignal that, when
+ *   aborted, stops waiting for the lock.
+ *
+ * @returns {Promise} Resolves to the result of the function; rejects with
+ *   the signal's reason if it is aborted before the lock is acquired.
+ */
+export async function withLock(name, fn, {signal} = {}) {
+  if(signal) {
+    signal.throwIfAborted();
+  }
+  if(hasWebLocks()) {
+    const options = signal ? {signal} : {};
+    return navigator.locks.request(name, options, () => fn());
+  }
+
+  const previous = _queues.get(name) || Promise.resolve();
+  let release;
+  const done = new Promise(resolve => release = resolve);
+  const queue = previous.then(() => done);
+  _queues.set(name, queue);
+  queue.then(() => {
+    if(_queues.get(name) === queue) {
+      _queues.delete(name);
+    }
+  });
+
+  try {
+    await _waitFor(previous, signal);
+  } catch(e) {
+    // keep later functions queued behind this one's place in the queue
+    previous.then(release);
+    throw e;
+  }
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Determines whether locks are shared by all browsing contexts on the
+ * mediator origin, that is, whether the Web Locks API is available.
+ *
+ * @returns {boolean} `true` if locks are shared by all browsing contexts.
+ */
+export function hasWebLocks() {
+  return typeof navigator !== 'undefined' && !!navigator.locks;
+}
+
+async function _waitFor(promise, signal) {
+  if(!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, {once: true});
+    promise.then(resolve).finally(
+      () => signal.removeEventListener('abort', onAbort));
+  });
+}
@@ -0,0 +1,299 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {hasWebLocks, withLock} from './locks.js';
+import localforage, {dropInstance} from './storage.js';
+import {assertStrings} from './helpers.js';
+
+/* Migrates mediator storage from the layouts used by older versions of this
+library. The version of the layout in use is recorded in mediator storage;
+migrations are applied in order and the version is recorded after each one
+completes. A migration may be interrupted (for example, by the page being
+closed) and is then run again from the start, so every migration must be
+idempotent.
+
+Each migration describes the layouts it migrates from and to itself rather
+than relying on the storage accessors of the services, which always use the
+latest layout. */
+
+const VERSION_KEY = 'version';
+const LEASE_KEY = 'lease';
+// how long a lease on migrating lasts unless it is renewed
+const LEASE_DURATION = 30000;
+// how often a lease is renewed while migrating so that it does not expire
+// during a long migration
+const LEASE_RENEWAL_INTERVAL = LEASE_DURATION / 3;
+const LEASE_POLL_INTERVAL = 100;
+
+const MIGRATIONS = [{
+  // handler registrations for a request type are kept in a single database
+  // with a store per origin instead of in a database per origin
+  version: 1,
+  migrate: _migrateHandlerStorage
+}, {
+  // relying origins with stored permissions are indexed
+  version: 2,
+  migrate: _indexPermissionOrigins
+}, {
+  // handlers with containers are indexed per item type
+  version: 3,
+  migrate: _indexContainerHandlers
+}];
+
+/**
+ * The storage layout version used by this library.
+ */
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Gets the version of the storage layout in use.
+ *
+ * @returns {Promise<number>} Resolves to the version; `0` if no migration
+ *   has ever been applied.
+ */
+export async function getVersion() {
+  return (await _getStorage().getItem(VERSION_KEY)) || 0;
+}
+
+/**
+ * Applies any migrations that have not yet been applied to mediator
+ * storage. This must be called when the mediator starts, before any of its
+ * services are used. Only one browsing context on the mediator origin runs
+ * migrations at a time; others wait for it to finish and then find nothing
+ * left to apply. Without the Web Locks API, this is ensured by a lease in
+ * storage that expires if the browsing context holding it is closed.
+ *
+ * Storage is only indexed per request type and item type, so every request
+ * type that handlers may be registered for and every type of container item
+ * must be given; storage for any type that is missing is not migrated.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<string>} options.requestTypes - Every request type that
+ *   handlers may be registered for.
+ * @param {Array<string>} [options.itemTypes=[]] - Every type of container
+ *   item.
+ *
+ * @returns {Promise<object>} Resolves to `{from, to}` with the versions of
+ *   the storage layout before and after migrating; rejects with a
+ *   `VersionError` if the storage layout is newer than this library
+ *   supports.
+ */
+export async function migrate({requestTypes, itemTypes = []} = {}) {
+  assertStrings(requestTypes, 'requestTypes');
+  assertStrings(itemTypes, 'itemTypes');
+
+  return withLock('mediator_migration', async () => {
+    // without the Web Locks API, the lock only serializes migrations within
+    // this browsing context, so also hold a lease in storage
+    const lease = hasWebLocks() ? null : await _acquireLease();
+    let renewing = Promise.resolve();
+    const renewal = lease && setInterval(() => {
+      renewing = _renewLease(lease).catch(e => console.error(e));
+    }, LEASE_RENEWAL_INTERVAL);
+    try {
+      const from = await getVersion();
+      if(from > LATEST_VERSION) {
+        throw new DOMException(
+          `Mediator storage version ${from} is newer than the latest ` +
+          `supported version ${LATEST_VERSION}.`, 'VersionError');
+      }
+      const storage = _getStorage();
+      for(const {version, migrate} of MIGRATIONS) {
+        if(version > from) {
+          await migrate({requestTypes, itemTypes});
+          await storage.setItem(VERSION_KEY, version);
+          if(lease) {
+            await _renewLease(lease);
+          }
+        }
+      }
+      return {from, to: LATEST_VERSION};
+    } finally {
+      if(lease) {
+        // a renewal still in progress would write the lease again
+        clearInterval(renewal);
+        await renewing;
+        await _releaseLease(lease);
+      }
+    }
+  });
+}
+
+async function _acquireLease() {
+  const storage = _getStorage();
+  const lease = {
+    id: Math.random().toString(36).slice(2),
+    expires: Date.now() + LEASE_DURATION
+  };
+  while(true) {
+    // wait for any unexpired lease held by another browsing context
+    const current = await storage.getItem(LEASE_KEY);
+    if(current && current.expires > Date.now()) {
+      await new Promise(resolve => setTimeout(resolve, LEASE_POLL_INTERVAL));
+      continue;
+    }
+    lease.expires = Date.now() + LEASE_DURATION;
+    await storage.setItem(LEASE_KEY, lease);
+    // another browsing context may have taken the lease at the same time;
+    // the last to write it holds it, so check again after the others write
+    await new Promise(resolve => setTimeout(resolve, LEASE_POLL_INTERVAL));
+    const {id} = await storage.getItem(LEASE_KEY) || {};
+    if(id === lease.id) {
+      return lease;
+    }
+  }
+}
+
+async function _renewLease(lease) {
+  const storage = _getStorage();
+  const {id} = await storage.getItem(LEASE_KEY) || {};
+  if(id !== lease.id) {
+    throw new DOMException(
+      'The lease on migrating mediator storage was lost.',
+      'InvalidStateError');
+  }
+  lease.expires = Date.now() + LEASE_DURATION;
+  await storage.setItem(LEASE_KEY, lease);
+}
+
+async function _releaseLease(lease) {
+  const storage = _getStorage();
+  const {id} = await storage.getItem(LEASE_KEY) || {};
+  if(id === lease.id) {
+    await storage.removeItem(LEASE_KEY);
+  }
+}
+
+async function _migrateHandlerStorage({requestTypes}) {
+  const driver = localforage.driver();
+  for(const requestType of requestTypes) {
+    const oldOriginStorage = localforage.createInstance({
+      name: 'webRequestHandler_' + requestType + '_origin',
+      driver
+    });
+    const originStorage = localforage.createInstance({
+      name: 'webRequestHandler_' + requestType,
+      storeName: 'origin',
+      driver
+    });
+    for(const origin of await oldOriginStorage.keys()) {
+      const oldStorage = localforage.createInstance({
+        name: 'webRequestHandler_' + requestType + '_' + origin +
+          '_registration',
+        driver
+      });
+      const config = {
+        name: 'webRequestHandler_' + requestType,
+        storeName: 'registration_' + origin,
+        driver
+      };
+
+      // copy registrations before removing the old storage so that none are
+      // lost if interrupted
+      const registrations = [];
+      await oldStorage.iterate((value, url) => {
+        registrations.push({url, value});
+      });
+      if(registrations.length > 0) {
+        const storage = localforage.createInstance(config);
+        for(const {url, value} of registrations) {
+          await storage.setItem(url, value);
+        }
+        await originStorage.setItem(origin, config);
+      }
+      await dropInstance(oldStorage);
+      await oldOriginStorage.removeItem(origin);
+    }
+    await dropInstance(oldOriginStorage);
+  }
+}
+
+async function _indexPermissionOrigins() {
+  // permission storage can only be found by listing IndexedDB databases;
+  // where that is not possible, each relying origin is indexed when a
+  // `PermissionManager` is next created for it
+  const names = await _getDatabaseNames();
+  if(!names) {
+    return;
+  }
+  const driver = localforage.driver();
+  const originStorage = localforage.createInstance({
+    name: 'permissionOrigin',
+    driver
+  });
+  for(const name of names) {
+    if(!name.startsWith('permission_')) {
+      continue;
+    }
+    const config = {name, driver};
+    const storage = localforage.createInstance(config);
+    if(await storage.length() > 0) {
+      await originStorage.setItem(name.slice('permission_'.length), config);
+    }
+  }
+}
+
+async function _indexContainerHandlers({requestTypes, itemTypes}) {
+  // containers are found by listing IndexedDB databases, which also finds
+  // those of handlers that are no longer registered; where that is not
+  // possible, the containers of registered handlers are found instead
+  const driver = localforage.driver();
+  const names = await _getDatabaseNames();
+  const urls = names ? null : await _getRegisteredHandlers(requestTypes);
+
+  for(const itemType of itemTypes) {
+    const prefix = itemType + '_';
+    const handlers = urls || names
+      .filter(name => name.startsWith(prefix))
+      .map(name => name.slice(prefix.length))
+      .filter(url => /^https?:\/\//.test(url));
+    const index = localforage.createInstance({
+      name: itemType + '_handler',
+      driver
+    });
+    for(const url of handlers) {
+      const storage = localforage.createInstance({name: prefix + url, driver});
+      if(await storage.length() > 0) {
+        await index.setItem(url, new URL(url).origin);
+      }
+    }
+  }
+}
+
+async function _getRegisteredHandlers(requestTypes) {
+  const driver = localforage.driver();
+  const urls = [];
+  for(const requestType of requestTypes) {
+    const originStorage = localforage.createInstance({
+      name: 'webRequestHandler_' + requestType,
+      storeName: 'origin',
+      driver
+    });
+    for(const origin of await originStorage.keys()) {
+      const storage = localforage.createInstance({
+        name: 'webRequestHandler_' + requestType,
+        storeName: 'registration_' + origin,
+        driver
+      });
+      urls.push(...await storage.keys());
+    }
+  }
+  return urls;
+}
+
+async function _getDatabaseNames() {
+  if(localforage.driver() !== localforage.INDEXEDDB ||
+    !(typeof indexedDB === 'object' && indexedDB &&
+    typeof indexedDB.databases === 'function')) {
+    return null;
+  }
+  const databases = await indexedDB.databases();
+  return databases.map(({name}) => name);
+}
+
+function _getStorage() {
+  return localforage.createInstance({
+    name: 'mediatorSchema',
+    driver: localforage.driver()
+  });
+}
@@ -0,0 +1,111 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/* Permission policies are functions of the form
+`policy({origin, permissionDesc})` that return (or resolve to) `granted`,
+`denied`, or `prompt` (or `undefined`, which is treated as `prompt`). A
+PermissionManager only prompts the user when its policy yields `prompt`. */
+
+/**
+ * Creates a policy that evaluates the given policies in order, yielding the
+ * first `granted` or `denied` result. Blocking policies should therefore be
+ * given before allowing ones.
+ *
+ * @param {...Function} policies - The policies to compose.
+ *
+ * @returns {Function} The composed policy.
+ */
+export function composePolicies(...policies) {
+  for(const policy of policies) {
+    if(typeof policy !== 'function') {
+      throw new TypeError('Each policy must be a function.');
+    }
+  }
+  return async function composedPolicy(context) {
+    for(const policy of policies) {
+      const state = await policy(context);
+      if(state === 'granted' || state === 'denied') {
+        return state;
+      }
+    }
+    return 'prompt';
+  };
+}
+
+/**
+ * Creates a policy that grants permissions to the given origins without
+ * prompting the user.
+ *
+ * @param {Array<string>} origins - The trusted origins.
+ * @param {object} [options] - The options to use.
+ * @param {Array<string>} [options.permissions] - The names of the
+ *   permissions to grant; all permissions are granted if not given.
+ *
+ * @returns {Function} The policy.
+ */
+export function allowOrigins(origins, {permissions} = {}) {
+  return _createOriginPolicy('granted', origins, permissions);
+}
+
+/**
+ * Creates a policy that denies permissions to the given origins without
+ * prompting the user.
+ *
+ * @param {Array<string>} origins - The blocked origins.
+ * @param {object} [options] - The options to use.
+ * @param {Array<string>} [options.permissions] - The names of the
+ *   permissions to deny; all permissions are denied if not given.
+ *
+ * @returns {Function} The policy.
+ */
+export function blockOrigins(origins, {permissions} = {}) {
+  return _createOriginPolicy('denied', origins, permissions);
+}
+
+/**
+ * Creates a policy that denies permissions to origins that are not
+ * potentially trustworthy, that is, origins that are neither `https` nor
+ * `localhost`.
+ *
+ * @returns {Function} The policy.
+ */
+export function requireSecureContext() {
+  return function secureContextPolicy({origin}) {
+    return _isPotentiallyTrustworthy(origin) ? 'prompt' : 'denied';
+  };
+}
+
+function _createOriginPolicy(state, origins, permissions) {
+  if(!(Array.isArray(origins) &&
+    origins.every(origin => typeof origin === 'string'))) {
+    throw new TypeError('"origins" must be an array of strings.');
+  }
+  if(permissions !== undefined && !(Array.isArray(permissions) &&
+    permissions.every(name => typeof name === 'string'))) {
+    throw new TypeError('"permissions" must be an array of strings.');
+  }
+  origins = new Set(origins);
+  return function originPolicy({origin, permissionDesc}) {
+    if(origins.has(origin) &&
+      (!permissions || permissions.includes(permissionDesc.name))) {
+      return state;
+    }
+    return 'prompt';
+  };
+}
+
+function _isPotentiallyTrustworthy(origin) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch(e) {
+    return false;
+  }
+  if(url.protocol === 'https:' || url.protocol === 'wss:') {
+    return true;
+  }
+  const {hostname} = url;
+  return hostname === 'localhost' || hostname.endsWith('.localhost') ||
+    hostname === '[::1]' || /^127(\.\d{1,3}){3}$/.test(hostname);
+}
@@ -0,0 +1,144 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/* A validator for a practical subset of JSON Schema: `type`, `enum`,
+`properties`, `required`, `additionalProperties`, `items`, `minItems`,
+`maxItems`, `minLength`, `maxLength`, and `pattern`. */
+
+/**
+ * Ensures a value is valid according to a schema, throwing a `DataError` if
+ * not. The error's `details.errors` contains every error found so that the
+ * caller, such as a relying origin, can tell exactly what was invalid.
+ *
+ * @param {object} schema - The schema to validate against.
+ * @param {*} value - The value to validate.
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name for the value to use in the
+ *   error message (e.g. `item`).
+ */
+export function assertValid(schema, value, {name}) {
+  const errors = validate(schema, value);
+  if(errors.length > 0) {
+    const [{path, message}] = errors;
+    const error = new DOMException(
+      `Invalid ${name}; "${path || '/'}" ${message}.`, 'DataError');
+    error.details = {errors};
+    throw error;
+  }
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {object} schema - The schema to validate against.
+ * @param {*} value - The value to validate.
+ * @param {string} [path=''] - The JSON pointer to the value, used to report
+ *   where errors occurred.
+ *
+ * @returns {Array<object>} An array of errors of the form `{path, message}`;
+ *   the array is empty if the value is valid.
+ */
+export function validate(schema, value, path = '') {
+  const errors = [];
+  _validate(schema, value, path, errors);
+  return errors;
+}
+
+function _validate(schema, value, path, errors) {
+  if(schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if(!types.some(type => _isType(value, type))) {
+      errors.push({path, message: `must be of type "${types.join('|')}"`});
+      // further checks would only report noise
+      return;
+    }
+  }
+
+  if(schema.enum !== undefined &&
+    !schema.enum.some(v => _isEqual(v, value))) {
+    errors.push({path, message: 'must be one of the allowed values'});
+  }
+
+  if(typeof value === 'string') {
+    const {minLength, maxLength, pattern} = schema;
+    // count code points, not UTF-16 code units, as JSON Schema does
+    const length = [...value].length;
+    if(minLength !== undefined && length < minLength) {
+      errors.push(
+        {path, message: `must have at least ${minLength} characters`});
+    }
+    if(maxLength !== undefined && length > maxLength) {
+      errors.push({path, message: `must have at most ${maxLength} characters`});
+    }
+    if(pattern !== undefined && !new RegExp(pattern, 'u').test(value)) {
+      errors.push({path, message: `must match pattern "${pattern}"`});
+    }
+  }
+
+  if(_isType(value, 'object')) {
+    const {properties = {}, required = [], additionalProperties} = schema;
+    for(const key of required) {
+      if(!_hasOwn(value, key)) {
+        errors.push({path, message: `must have property "${key}"`});
+      }
+    }
+    for(const key of Object.keys(value)) {
+      const childPath = path + '/' + _escapePointer(key);
+      if(_hasOwn(properties, key)) {
+        _validate(properties[key], value[key], childPath, errors);
+      } else if(additionalProperties === false) {
+        errors.push({path: childPath, message: 'is not an allowed property'});
+      } else if(_isType(additionalProperties, 'object')) {
+        _validate(additionalProperties, value[key], childPath, errors);
+      }
+    }
+  }
+
+  if(Array.isArray(value)) {
+    const {items, minItems, maxItems} = schema;
+    if(minItems !== undefined && value.length < minItems) {
+      errors.push({path, message: `must have at least ${minItems} items`});
+    }
+    if(maxItems !== undefined && value.length > maxItems) {
+      errors.push({path, message: `must have at most ${maxItems} items`});
+    }
+    if(items) {
+      value.forEach((v, i) => _validate(items, v, `${path}/${i}`, errors));
+    }
+  }
+}
+
+function _isType(value, type) {
+  switch(type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return !!value && typeof value === 'object' && !Array.isArray(value);
+    default:
+      throw new Error(`Unsupported schema type "${type}".`);
+  }
+}
+
+function _hasOwn(object, key) {
+  // inherited properties, such as `toString`, must not count
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function _isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function _escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
@@ -1,9 +1,34 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2024 Digital Bazaar, Inc. All rights reserved.
  */
 import cookieDriver from './cookieDriver.js';
 import localforage from 'localforage';
 
+// the store name used by instances that do not share a database
+const DEFAULT_STORE_NAME = 'keyvaluepairs';
+
 localforage.defineDriver(cookieDriver);
 
 export default localforage;
+
+/**
+ * Removes a storage instance entirely, or clears it if its driver cannot
+ * remove instances. The (IndexedDB) database of an instance that has its own
+ * store name is shared with other instances, so only its store is removed;
+ * otherwise the whole database is removed.
+ *
+ * @param {object} instance - The storage instance, as returned from
+ *   `localforage.createInstance()`.
+ *
+ * @returns {Promise} Resolves once the instance has been removed.
+ */
+export async function dropInstance(instance) {
+  const {name, storeName} = instance.config();
+  try {
+    await instance.dropInstance(
+      storeName === DEFAULT_STORE_NAME ? {name} : {name, storeName});
+  } catch(e) {
+    // `dropInstance` is an optional driver method
+    await instance.clear();
+  }
+}